@@ -36,6 +36,9 @@ const VIEWPORT_PANEL_ID = "viewport-panel";
 const CREATE_SCENE_OBJ_BTN_ID = "create-scene-obj-btn";
 const REMOVE_SCENE_OBJ_BTN_ID = "remove-scene-obj-btn";
 const CLEAR_SCENE_OBJS_BTN_ID = "clear-scene-objs-btn";
+const EXPORT_SVG_BTN_ID = "export-svg-btn";
+const EXPORT_SVG_FILE_NAME = "scene.svg";
+const EXPORT_SVG_URL_REVOKE_DELAY_MS = 1000;
 
 const TRANSFORM_SETTINGS_TEMPLATE_ID = "settings-input-transform-template";
 const VECTOR_INPUT_TEMPLATE_ID = "settings-input-vector-template";
@@ -73,6 +76,12 @@ const MAX_FOV = 120;
 const MIN_FOV = 30;
 const FOV_STEP = 1;
 
+// The demo objects are spread around this point, so the orbit camera circles it
+const ORBIT_TARGET = new Vector3(0, 0, 25);
+
+// Orbit drags also end on the canvas, so only presses that move less than this many pixels select objects
+const CLICK_SELECT_MAX_DRAG_DISTANCE = 5;
+
 const DEFAULT_RESOLUTION_SCALE = 1.0;
 const MIN_RESOLUTION_SCALE = 0.25;
 const MAX_RESOLUTION_SCALE = 1.0;
@@ -82,12 +91,43 @@ const DEFAULT_FOG_COLOR = "#000000";
 const MIN_FOG_DISTANCE = 0;
 const MAX_FOG_DISTANCE = 100;
 const FOG_DISTANCE_STEP = 1;
+const MIN_FOG_DENSITY = 0.005;
+const MAX_FOG_DENSITY = 0.2;
+const FOG_DENSITY_STEP = 0.005;
+
+// Height fog settles below this world Y and thins out above it
+const DEMO_FOG_HEIGHT_BASE = 0;
+const DEMO_FOG_HEIGHT_FALLOFF = 0.5;
 
 const DEFAULT_BLOOM_COLOR = "#ffffff";
 const DEFAULT_BLOOM_BLUR = 5;
 const MIN_BLOOM_BLUR = 1;
 const MAX_BLOOM_BLUR = 50;
 const BLOOM_BLUR_STEP = 1;
+const MIN_BLOOM_PASSES = 1;
+const MAX_BLOOM_PASSES = 4;
+const BLOOM_PASSES_STEP = 1;
+const MAX_GLOW_INTENSITY = 4;
+const GLOW_INTENSITY_STEP = 0.25;
+
+const DEMO_PIXEL_SIZE = 3;
+const DEMO_CHROMATIC_ABERRATION_OFFSET = 2;
+const DEMO_FILM_GRAIN_INTENSITY = 0.08;
+
+// A crease angle of 0 turns crease filtering off in the inspector (every edge is drawn)
+const MAX_CREASE_ANGLE = 180;
+const CREASE_ANGLE_STEP = 1;
+
+const OPACITY_STEP = 0.05;
+
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 10;
+const LINE_WIDTH_STEP = 0.5;
+const DEMO_LINE_DASH = [6, 4];
+
+// Lights used by scene objects with Lambert shading enabled in the inspector
+const DEMO_AMBIENT_LIGHT_INTENSITY = 0.25;
+const DEMO_LIGHT_DIRECTION = new Vector3(-0.5, -1, 1);
 
 //const MONKEY_MESH_PATH_INDEX = 0; // Monkey
 /* Version including the monkey model.
@@ -481,6 +521,10 @@ async function createSceneObject(engine, posOverride = null, rotOverride = null,
     const sceneObject = new SceneObject(mesh, new Transform(spawnPos, spawnRot, Vector3.one()), new Material(SCENE_OBJ_DEFAULT_EDGE_COLOR));
     const id = engine.scene.addSceneObject(sceneObject);
 
+    // Hint that scene objects can be clicked to select them
+    sceneObject.on("pointerenter", () => engine.canvas.style.cursor = "pointer");
+    sceneObject.on("pointerleave", () => engine.canvas.style.cursor = "");
+
     // The select element that's used to display the list of current scene objects
     const sceneObjsSelectElement = document.getElementById(SCENE_OBJS_SELECT_ID);
     sceneObjsSelectElement.appendChild(new Option(displayName, id));
@@ -786,7 +830,7 @@ function updateSelectedObjectControls(engine) {
         "Edge Gradient",
         controlSubpanel,
         (gradient) => {
-            sceneObject.material = new Material(gradient.startColor, gradient.endColor, sceneObject.material.faceColor);
+            setSceneObjectColors(sceneObject, gradient.startColor, gradient.endColor, sceneObject.material.faceColor);
         },
         sceneObject.material.originalEdgeColor || SCENE_OBJ_DEFAULT_EDGE_COLOR,
         sceneObject.material.originalEdgeGradientColor || SCENE_OBJ_DEFAULT_EDGE_COLOR
@@ -796,7 +840,7 @@ function updateSelectedObjectControls(engine) {
         "Edge Color",
         controlSubpanel,
         (color) => {
-            sceneObject.material = new Material(color, null, sceneObject.material.faceColor);
+            setSceneObjectColors(sceneObject, color, null, sceneObject.material.faceColor);
         },
         sceneObject.material.originalEdgeColor || SCENE_OBJ_DEFAULT_EDGE_COLOR
     );
@@ -811,13 +855,13 @@ function updateSelectedObjectControls(engine) {
                 const startColor = gradientSettings.querySelector('.gradient-start-input').value;
                 const endColor = gradientSettings.querySelector('.gradient-end-input').value;
 
-                sceneObject.material = new Material(startColor, endColor, sceneObject.material.faceColor);
+                setSceneObjectColors(sceneObject, startColor, endColor, sceneObject.material.faceColor);
                 colorSettings.style.display = 'none';
                 gradientSettings.style.display = 'flex';
             }
             else {
                 const color = colorSettings.querySelector('.color-input').value;
-                sceneObject.material = new Material(color, null, sceneObject.material.faceColor);
+                setSceneObjectColors(sceneObject, color, null, sceneObject.material.faceColor);
                 colorSettings.style.display = 'flex';
                 gradientSettings.style.display = 'none';
             }
@@ -838,7 +882,7 @@ function updateSelectedObjectControls(engine) {
         (color) => {
             const currentEdgeColor = sceneObject.material.edgeColor;
             const currentEdgeGradientColor = sceneObject.material.edgeGradientColor;
-            sceneObject.material = new Material(currentEdgeColor, currentEdgeGradientColor, color);
+            setSceneObjectColors(sceneObject, currentEdgeColor, currentEdgeGradientColor, color);
         },
         sceneObject.material.originalFaceColor || SCENE_OBJ_DEFAULT_FACE_COLOR
     );
@@ -851,13 +895,13 @@ function updateSelectedObjectControls(engine) {
                 const currentEdgeColor = sceneObject.material.edgeColor;
                 const currentEdgeGradientColor = sceneObject.material.edgeGradientColor;
                 const faceColor = faceColorSettings.querySelector('.color-input').value;
-                sceneObject.material = new Material(currentEdgeColor, currentEdgeGradientColor, faceColor);
+                setSceneObjectColors(sceneObject, currentEdgeColor, currentEdgeGradientColor, faceColor);
                 faceColorSettings.style.display = 'flex';
             }
             else {
                 const currentEdgeColor = sceneObject.material.edgeColor;
                 const currentEdgeGradientColor = sceneObject.material.edgeGradientColor;
-                sceneObject.material = new Material(currentEdgeColor, currentEdgeGradientColor, null);
+                setSceneObjectColors(sceneObject, currentEdgeColor, currentEdgeGradientColor, null);
                 faceColorSettings.style.display = 'none';
             }
         },
@@ -867,6 +911,130 @@ function updateSelectedObjectControls(engine) {
     // Reorder DOM: move checkbox before face color picker
     const faceColorCheckbox = controlSubpanel.lastElementChild;
     controlSubpanel.insertBefore(faceColorCheckbox, faceColorSettings);
+
+    createSettingsCheckbox(
+        "Lambert Shading",
+        controlSubpanel,
+        (enabled) => {
+            sceneObject.material.shadingMode = enabled ? "lambert" : "none";
+        },
+        sceneObject.material.shadingMode === "lambert"
+    );
+
+    createSettingsSlider(
+        "Opacity",
+        controlSubpanel,
+        (value) => {
+            sceneObject.material.opacity = value;
+        },
+        0,
+        1,
+        OPACITY_STEP,
+        sceneObject.material.opacity
+    );
+
+    createSettingsSlider(
+        "Face Opacity",
+        controlSubpanel,
+        (value) => {
+            sceneObject.material.faceOpacity = value;
+        },
+        0,
+        1,
+        OPACITY_STEP,
+        sceneObject.material.faceOpacity
+    );
+
+    // Edge filtering controls
+    createSettingsCheckbox(
+        "Silhouette Edges",
+        controlSubpanel,
+        (enabled) => {
+            sceneObject.material.isSilhouetteEdges = enabled;
+        },
+        sceneObject.material.isSilhouetteEdges
+    );
+
+    createSettingsSlider(
+        "Crease Angle",
+        controlSubpanel,
+        (value) => {
+            sceneObject.material.creaseAngle = value > 0 ? value : null;
+        },
+        0,
+        MAX_CREASE_ANGLE,
+        CREASE_ANGLE_STEP,
+        sceneObject.material.creaseAngle ?? 0
+    );
+
+    // Per-object bloom controls (glow even when global bloom is off)
+    createSettingsCheckbox(
+        "Glow",
+        controlSubpanel,
+        (enabled) => {
+            sceneObject.material.bloom = { enabled: enabled ? true : null };
+        },
+        sceneObject.material.bloom.enabled === true
+    );
+
+    createSettingsSlider(
+        "Glow Intensity",
+        controlSubpanel,
+        (value) => {
+            sceneObject.material.bloom = { intensity: value };
+        },
+        0,
+        MAX_GLOW_INTENSITY,
+        GLOW_INTENSITY_STEP,
+        sceneObject.material.bloom.intensity
+    );
+
+    // Line style controls
+    createSettingsSlider(
+        "Line Width",
+        controlSubpanel,
+        (value) => {
+            sceneObject.material.lineWidth = value;
+        },
+        MIN_LINE_WIDTH,
+        MAX_LINE_WIDTH,
+        LINE_WIDTH_STEP,
+        sceneObject.material.lineWidth
+    );
+
+    createSettingsCheckbox(
+        "Dashed Edges",
+        controlSubpanel,
+        (enabled) => {
+            sceneObject.material.lineDash = enabled ? DEMO_LINE_DASH : [];
+        },
+        sceneObject.material.lineDash.length > 0
+    );
+}
+
+/**
+ * Gives a scene object a new material with the given colors, keeping its other material settings.
+ * @param {SceneObject} sceneObject - The scene object to update
+ * @param {string|null} edgeColor - The edge color
+ * @param {string|null} edgeGradientColor - The edge gradient end color
+ * @param {string|null} faceColor - The face fill color
+ */
+function setSceneObjectColors(sceneObject, edgeColor, edgeGradientColor, faceColor) {
+    const material = new Material(edgeColor, edgeGradientColor, faceColor);
+    material.gradientColorSpace = sceneObject.material.gradientColorSpace;
+    material.isSilhouetteEdges = sceneObject.material.isSilhouetteEdges;
+    material.creaseAngle = sceneObject.material.creaseAngle;
+    material.shadingMode = sceneObject.material.shadingMode;
+    material.opacity = sceneObject.material.opacity;
+    material.edgeOpacity = sceneObject.material.edgeOpacity;
+    material.faceOpacity = sceneObject.material.faceOpacity;
+    material.lineWidth = sceneObject.material.lineWidth;
+    material.lineDash = sceneObject.material.lineDash;
+    material.lineCap = sceneObject.material.lineCap;
+    material.lineJoin = sceneObject.material.lineJoin;
+    material.lineWidthAttenuationDepth = sceneObject.material.lineWidthAttenuationDepth;
+    material.bloom = sceneObject.material.bloom;
+    sceneObject.material = material;
 }
 
 function updateInspectorClearButtonState(engine) {
@@ -883,6 +1051,52 @@ function updateInspectorRemoveButtonState() {
     removeButton.disabled = !hasSelection || !hasSceneObjects;
 }
 
+function initClickToSelect(engine) {
+    const canvas = engine.canvas;
+    let pointerDownPosition = null;
+
+    canvas.addEventListener("pointerdown", (event) => {
+        pointerDownPosition = new Vector2(event.clientX, event.clientY);
+    });
+
+    canvas.addEventListener("pointerup", (event) => {
+        if (pointerDownPosition === null)
+            return;
+
+        const dragDistance = Math.hypot(event.clientX - pointerDownPosition.x, event.clientY - pointerDownPosition.y);
+        pointerDownPosition = null;
+
+        if (dragDistance <= CLICK_SELECT_MAX_DRAG_DISTANCE)
+            selectSceneObjectAtPoint(engine, event.clientX, event.clientY);
+    });
+}
+
+function selectSceneObjectAtPoint(engine, clientX, clientY) {
+    // The canvas resolution differs from its size on the page when the resolution scale isn't 1
+    const canvas = engine.canvas;
+    const rect = canvas.getBoundingClientRect();
+    const screenPoint = new Vector2(
+        (clientX - rect.left) * (canvas.width / rect.width),
+        (clientY - rect.top) * (canvas.height / rect.height)
+    );
+
+    const hit = engine.scene.raycast(engine.camera.screenPointToRay(screenPoint));
+
+    if (!hit)
+        return;
+
+    const sceneObjsSelectElement = document.getElementById(SCENE_OBJS_SELECT_ID);
+    const option = [...sceneObjsSelectElement.options].find(
+        (o) => engine.scene.getSceneObjectById(parseInt(o.value, 10)) === hit.sceneObject
+    );
+
+    if (!option)
+        return;
+
+    sceneObjsSelectElement.value = option.value;
+    updateSelectedObjectControls(engine);
+}
+
 // endregion
 
 // region Transform Settings Functions
@@ -1041,13 +1255,29 @@ function makeDomSafeKey(text) {
 
 // region Inspector Initialization Functions
 
+function exportSceneToSvg(engine) {
+    const svgRenderer = new SvgRenderer(new Vector2(engine.canvas.width, engine.canvas.height));
+    const svgBlob = new Blob([engine.renderTo(svgRenderer).toString()], { type: "image/svg+xml" });
+    const svgUrl = URL.createObjectURL(svgBlob);
+
+    const downloadLink = document.createElement("a");
+    downloadLink.href = svgUrl;
+    downloadLink.download = EXPORT_SVG_FILE_NAME;
+    downloadLink.click();
+
+    // Revoking right after click() can cancel the download before the browser has started reading the file
+    setTimeout(() => URL.revokeObjectURL(svgUrl), EXPORT_SVG_URL_REVOKE_DELAY_MS);
+}
+
 function initInspectorListeners(engine) {
     document.getElementById(CREATE_SCENE_OBJ_BTN_ID).addEventListener("click", () => createSceneObject(engine));
     document.getElementById(REMOVE_SCENE_OBJ_BTN_ID).addEventListener("click", () => removeSceneObject(engine));
     document.getElementById(CLEAR_SCENE_OBJS_BTN_ID).addEventListener("click", () => clearSceneObjects(engine));
+    document.getElementById(EXPORT_SVG_BTN_ID).addEventListener("click", () => exportSceneToSvg(engine));
     document.getElementById(SCENE_OBJS_SELECT_ID).addEventListener("change", () => {
         updateSelectedObjectControls(engine);
     });
+    initClickToSelect(engine);
     window.addEventListener("resize", () => updateToBrowserSize(engine));
 }
 
@@ -1069,6 +1299,33 @@ function initInspector(engine) {
         true // initially checked
     );
 
+    createSettingsCheckbox(
+        "BSP Depth Sorting (Exact)",
+        renderingPanel,
+        (checked) => {
+            engine.depthSortMode = checked ? "bsp" : "average";
+        },
+        false
+    );
+
+    createSettingsCheckbox(
+        "Hidden Line Removal",
+        renderingPanel,
+        (checked) => {
+            engine.isHiddenLineRemoval = checked;
+        },
+        false
+    );
+
+    createSettingsCheckbox(
+        "Depth Buffer (Per-Pixel)",
+        renderingPanel,
+        (checked) => {
+            engine.isDepthBuffering = checked;
+        },
+        false
+    );
+
     createSettingsCheckbox(
         "Back Face Culling",
         renderingPanel,
@@ -1181,7 +1438,8 @@ function initInspector(engine) {
         "Fog Near",
         fogPanel,
         (value) => {
-            engine.depthFog = { near: value };
+            // Keep near below far, which the engine requires
+            engine.depthFog = { near: Math.min(value, engine.depthFog.far - FOG_DISTANCE_STEP) };
         },
         MIN_FOG_DISTANCE,
         MAX_FOG_DISTANCE,
@@ -1193,7 +1451,7 @@ function initInspector(engine) {
         "Fog Far",
         fogPanel,
         (value) => {
-            engine.depthFog = { far: value };
+            engine.depthFog = { far: Math.max(value, engine.depthFog.near + FOG_DISTANCE_STEP) };
         },
         MIN_FOG_DISTANCE,
         MAX_FOG_DISTANCE,
@@ -1201,20 +1459,59 @@ function initInspector(engine) {
         fogSettings.far
     );
 
+    const fogDensitySlider = createSettingsSlider(
+        "Fog Density",
+        fogPanel,
+        (value) => {
+            engine.depthFog = { density: value };
+        },
+        MIN_FOG_DENSITY,
+        MAX_FOG_DENSITY,
+        FOG_DENSITY_STEP,
+        fogSettings.density
+    );
+
+    // Exponential fog uses density instead of near and far
+    const updateFogModeControls = () => {
+        const {enabled, mode} = engine.depthFog;
+        const isLinear = mode === 'linear';
+        fogNearSlider.parentElement.style.display = enabled && isLinear ? 'flex' : 'none';
+        fogFarSlider.parentElement.style.display = enabled && isLinear ? 'flex' : 'none';
+        fogDensitySlider.parentElement.style.display = enabled && !isLinear ? 'flex' : 'none';
+    };
+
+    const fogExponentialCheckbox = createSettingsCheckbox(
+        "Exponential Fog",
+        fogPanel,
+        (isExponential) => {
+            engine.depthFog = { mode: isExponential ? 'exp2' : 'linear' };
+            updateFogModeControls();
+        },
+        fogSettings.mode !== 'linear'
+    );
+
+    const fogHeightCheckbox = createSettingsCheckbox(
+        "Height Fog",
+        fogPanel,
+        (isHeightFog) => {
+            engine.depthFog = {
+                heightBase: DEMO_FOG_HEIGHT_BASE,
+                heightFalloff: isHeightFog ? DEMO_FOG_HEIGHT_FALLOFF : null
+            };
+        },
+        fogSettings.heightFalloff !== null
+    );
+
     createSettingsCheckbox(
         "Enable Fog",
         fogPanel,
         (enabled) => {
             engine.depthFog = { enabled };
-            if (enabled) {
-                fogColorSettings.style.display = 'flex';
-                fogNearSlider.parentElement.style.display = 'flex';
-                fogFarSlider.parentElement.style.display = 'flex';
-            } else {
-                fogColorSettings.style.display = 'none';
-                fogNearSlider.parentElement.style.display = 'none';
-                fogFarSlider.parentElement.style.display = 'none';
-            }
+            const display = enabled ? 'flex' : 'none';
+            fogColorSettings.style.display = display;
+            fogExponentialCheckbox.parentElement.style.display = display;
+            fogHeightCheckbox.parentElement.style.display = display;
+            updateFogModeControls();
         },
         fogSettings.enabled
     );
@@ -1247,6 +1544,18 @@ function initInspector(engine) {
         DEFAULT_BLOOM_BLUR
     );
 
+    const bloomPassesSlider = createSettingsSlider(
+        "Bloom Passes",
+        bloomPanel,
+        (value) => {
+            engine.bloom = { passes: value };
+        },
+        MIN_BLOOM_PASSES,
+        MAX_BLOOM_PASSES,
+        BLOOM_PASSES_STEP,
+        bloomSettings.passes
+    );
+
     const bloomUseEdgeColorCheckbox = createSettingsCheckbox(
         "Use Edge Color for Bloom",
         bloomPanel,
@@ -1276,10 +1585,12 @@ function initInspector(engine) {
                 bloomColorSettings.style.display = bloomSettings.color === null ? 'none' : 'flex';
                 bloomUseEdgeColorContainer.style.display = 'flex';
                 bloomBlurSlider.parentElement.style.display = 'flex';
+                bloomPassesSlider.parentElement.style.display = 'flex';
             } else {
                 bloomColorSettings.style.display = 'none';
                 bloomUseEdgeColorContainer.style.display = 'none';
                 bloomBlurSlider.parentElement.style.display = 'none';
+                bloomPassesSlider.parentElement.style.display = 'none';
             }
         },
         bloomSettings.enabled
@@ -1288,6 +1599,31 @@ function initInspector(engine) {
     const bloomEnableContainer = bloomEnableCheckbox.parentElement;
     bloomPanel.insertBefore(bloomEnableContainer, bloomUseEdgeColorContainer);
 
+    // ========== Post-Processing Panel ==========
+    // Every pass is in the chain from the start (all off), so toggling one doesn't change the order of the others
+    const postProcessingPanel = document.getElementById("post-processing-panel");
+    const postProcessPasses = [
+        { title: "Pixelation", pass: new PixelationPass(DEMO_PIXEL_SIZE) },
+        { title: "Chromatic Aberration", pass: new ChromaticAberrationPass(DEMO_CHROMATIC_ABERRATION_OFFSET) },
+        { title: "CRT Scanlines", pass: new ScanlinesPass() },
+        { title: "Film Grain", pass: new FilmGrainPass(DEMO_FILM_GRAIN_INTENSITY) },
+        { title: "Vignette", pass: new VignettePass() }
+    ];
+
+    for (const { title, pass } of postProcessPasses) {
+        pass.isEnabled = false;
+        createSettingsCheckbox(
+            title,
+            postProcessingPanel,
+            (checked) => {
+                pass.isEnabled = checked;
+            },
+            pass.isEnabled
+        );
+    }
+
+    engine.postProcessPasses = postProcessPasses.map(({ pass }) => pass);
+
     // ========== Camera Panel (at the bottom) ==========
     // Add camera transform controls at the bottom of the inspector panel
     const cameraPanel = createTransformSettings(
@@ -1299,6 +1635,16 @@ function initInspector(engine) {
         null // childIndex - append to the end
     );
 
+    // Orbit controls drive the camera position/rotation, so the inputs above only apply while it's off
+    createSettingsCheckbox(
+        "Orbit Camera (Drag/Scroll)",
+        cameraPanel,
+        (checked) => {
+            orbitControls.isEnabled = checked;
+        },
+        orbitControls.isEnabled
+    );
+
     // Add FOV slider to the camera panel
     createSettingsSlider(
         "Field of View",
@@ -1311,6 +1657,16 @@ function initInspector(engine) {
         FOV_STEP,
         DEFAULT_FOV
     );
+
+    // Orthographic projection ignores the FOV; scrolling with the orbit camera zooms the view height instead
+    createSettingsCheckbox(
+        "Orthographic",
+        cameraPanel,
+        (checked) => {
+            engine.camera.isOrthographic = checked;
+        },
+        engine.camera.isOrthographic
+    );
 }
 
 function addOptionsToMeshSelect() {
@@ -1458,14 +1814,20 @@ async function init() {
     const engine = new Engine(document.getElementById("canvas"));
     engine.isFrameRateCounter = true;
 
+    engine.scene.addLight(new AmbientLight("#ffffff", DEMO_AMBIENT_LIGHT_INTENSITY));
+    engine.scene.addLight(new DirectionalLight(DEMO_LIGHT_DIRECTION));
+
     updateToBrowserSize(engine);
 
+    orbitControls = new OrbitControls(engine, ORBIT_TARGET);
     initInspector(engine);
 
     updateInspectorRemoveButtonState();
     updateSelectedObjectControls(engine);
 
     engine.onFrameUpdate = (deltaTime) => {
+        orbitControls.update(deltaTime);
+
         if (!doesRotateSelSceneObj || selSceneObjectId === null)
             return;
 
@@ -1480,7 +1842,24 @@ async function init() {
     engine.start();
 }
 
-import {Engine, Material, SceneObject, Transform, Vector2, Vector3, WavefrontMeshConverter} from 'canvas-js-3d';
+import {
+    AmbientLight,
+    ChromaticAberrationPass,
+    DirectionalLight,
+    Engine,
+    FilmGrainPass,
+    Material,
+    OrbitControls,
+    PixelationPass,
+    ScanlinesPass,
+    SceneObject,
+    SvgRenderer,
+    Transform,
+    Vector2,
+    Vector3,
+    VignettePass,
+    WavefrontMeshConverter
+} from 'canvas-js-3d';
 
 let isMobile = false;
 let resolutionScale = DEFAULT_RESOLUTION_SCALE;
@@ -1489,4 +1868,5 @@ const meshCache = new Map();
 let doesRotateSelSceneObj = true;
 let selSceneObjectId = null;
 let selSceneObjectRotationSpeed = DEFAULT_SELECTED_OBJ_ROTATE_SPEED;
+let orbitControls = null;
 init();
@@ -0,0 +1,232 @@
+import {Vector3} from '../math/vector3.js';
+
+/**
+ * First-person fly camera for the engine's camera using the keyboard and mouse.
+ * - Click the canvas to capture the mouse (pointer lock), Escape to release it
+ * - Mouse: look around
+ * - W/A/S/D or arrow keys: move forward/left/back/right
+ * - E/Space: move up, Q/C: move down
+ * - Shift: move faster
+ *
+ * Call update(deltaTime) once per frame, e.g. from Engine.onFrameUpdate, so movement is frame-rate independent.
+ */
+export class FlyControls {
+    // region Fields
+
+    /** Top movement speed in units per second. */
+    moveSpeed = 5;
+    /** How quickly the camera reaches (or stops from) top speed, in units per second squared. */
+    acceleration = 40;
+    /** Speed multiplier while Shift is held. */
+    boostMultiplier = 3;
+    /** Look rotation in radians per pixel of mouse movement. */
+    lookSpeed = 0.002;
+    /** Highest pitch in radians, up or down. */
+    maxPitch = Math.PI / 2 - 0.01;
+
+    #camera;
+    #canvas;
+    #isEnabled = true;
+    #yaw = 0;
+    #pitch = 0;
+    #velocity = Vector3.zero();
+    #pressedKeys = new Set();
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates new FlyControls and starts listening for input.
+     * The starting orientation is taken from the camera's current rotation.
+     * @param {Engine} engine - The engine whose camera and canvas are used.
+     */
+    constructor(engine) {
+        this.#camera = engine.camera;
+        this.#canvas = engine.canvas;
+        this.#syncFromCamera();
+
+        this.#canvas.addEventListener('click', this.#onClick);
+        document.addEventListener('mousemove', this.#onMouseMove);
+        window.addEventListener('keydown', this.#onKeyDown);
+        window.addEventListener('keyup', this.#onKeyUp);
+        window.addEventListener('blur', this.#onBlur);
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets whether the controls respond to input and move the camera.
+     * @returns {boolean} True if enabled.
+     */
+    get isEnabled() {
+        return this.#isEnabled;
+    }
+
+    /**
+     * Enables or disables the controls (on by default). Disabling releases the pointer lock.
+     * When re-enabled the controls continue from wherever the camera was moved in the meantime.
+     * @param {boolean} enabled - Sets the state directly.
+     */
+    set isEnabled(enabled) {
+        if (enabled && !this.#isEnabled)
+            this.#syncFromCamera();
+
+        if (!enabled) {
+            this.#releasePointerLock();
+            this.#pressedKeys.clear();
+            this.#velocity = Vector3.zero();
+        }
+
+        this.#isEnabled = enabled;
+    }
+
+    /**
+     * Gets whether the mouse is currently captured by the canvas.
+     * @returns {boolean} True if pointer lock is active on the canvas.
+     */
+    get isPointerLocked() {
+        return document.pointerLockElement === this.#canvas;
+    }
+
+    /**
+     * Gets the current velocity.
+     * @returns {Vector3} The velocity in world units per second.
+     */
+    get velocity() {
+        return this.#velocity;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Moves and rotates the camera based on held keys and mouse movement since the last call.
+     * @param {number} deltaTime - Seconds since the last frame.
+     */
+    update(deltaTime) {
+        if (!this.#isEnabled)
+            return;
+
+        const rotation = new Vector3(this.#pitch, this.#yaw, 0);
+        this.#camera.transform.setRotation(rotation);
+
+        // Move where the camera is looking, but keep up/down aligned with the world
+        const forward = new Vector3(0, 0, 1).getRotated(rotation);
+        const right = Vector3.right().getRotated(rotation);
+
+        let direction = Vector3.zero();
+        if (this.#isAnyKeyPressed('KeyW', 'ArrowUp'))
+            direction = direction.getTranslated(forward);
+        if (this.#isAnyKeyPressed('KeyS', 'ArrowDown'))
+            direction = direction.getDifference(forward);
+        if (this.#isAnyKeyPressed('KeyD', 'ArrowRight'))
+            direction = direction.getTranslated(right);
+        if (this.#isAnyKeyPressed('KeyA', 'ArrowLeft'))
+            direction = direction.getDifference(right);
+        if (this.#isAnyKeyPressed('KeyE', 'Space'))
+            direction = direction.getTranslated(Vector3.up());
+        if (this.#isAnyKeyPressed('KeyQ', 'KeyC'))
+            direction = direction.getTranslated(Vector3.down());
+
+        const isBoosting = this.#isAnyKeyPressed('ShiftLeft', 'ShiftRight');
+        const topSpeed = this.moveSpeed * (isBoosting ? this.boostMultiplier : 1);
+        const targetVelocity = direction.getNormalized().getScaled(topSpeed);
+
+        // Accelerate toward the target velocity without overshooting it
+        const velocityChange = targetVelocity.getDifference(this.#velocity);
+        const changeMagnitude = velocityChange.getMagnitude();
+        const maxChange = this.acceleration * (isBoosting ? this.boostMultiplier : 1) * deltaTime;
+
+        if (changeMagnitude <= maxChange)
+            this.#velocity = targetVelocity;
+        else
+            this.#velocity = this.#velocity.getTranslated(velocityChange.getScaled(maxChange / changeMagnitude));
+
+        this.#camera.transform.move(this.#velocity.getScaled(deltaTime));
+    }
+
+    /**
+     * Removes all event listeners and releases the pointer lock. The controls can't be used afterward.
+     */
+    dispose() {
+        this.#releasePointerLock();
+        this.#canvas.removeEventListener('click', this.#onClick);
+        document.removeEventListener('mousemove', this.#onMouseMove);
+        window.removeEventListener('keydown', this.#onKeyDown);
+        window.removeEventListener('keyup', this.#onKeyUp);
+        window.removeEventListener('blur', this.#onBlur);
+        this.#pressedKeys.clear();
+    }
+
+    // endregion
+
+    // region Event Handlers
+
+    /** @private */
+    #onClick = () => {
+        if (this.#isEnabled && !this.isPointerLocked)
+            this.#canvas.requestPointerLock();
+    };
+
+    /** @private */
+    #onMouseMove = (event) => {
+        if (!this.#isEnabled || !this.isPointerLocked)
+            return;
+
+        // Euler Y turns +Z toward -X, so moving right lowers yaw; positive pitch looks down
+        this.#yaw -= event.movementX * this.lookSpeed;
+        this.#pitch = Math.max(
+            -this.maxPitch,
+            Math.min(this.maxPitch, this.#pitch + event.movementY * this.lookSpeed)
+        );
+    };
+
+    /** @private */
+    #onKeyDown = (event) => {
+        // Only take over the keyboard while the mouse is captured so inputs elsewhere on the page keep working
+        if (!this.#isEnabled || !this.isPointerLocked)
+            return;
+
+        this.#pressedKeys.add(event.code);
+        event.preventDefault();
+    };
+
+    /** @private */
+    #onKeyUp = (event) => {
+        this.#pressedKeys.delete(event.code);
+    };
+
+    /** @private */
+    #onBlur = () => {
+        // Key up events are missed while the window is unfocused
+        this.#pressedKeys.clear();
+    };
+
+    // endregion
+
+    // region Helper Methods
+
+    /** @private */
+    #isAnyKeyPressed(...codes) {
+        return codes.some(code => this.#pressedKeys.has(code));
+    }
+
+    /** @private */
+    #releasePointerLock() {
+        if (this.isPointerLocked)
+            document.exitPointerLock();
+    }
+
+    /** @private */
+    #syncFromCamera() {
+        const rotation = this.#camera.transform.rotation;
+        this.#pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, rotation.x));
+        this.#yaw = rotation.y;
+    }
+
+    // endregion
+}
@@ -0,0 +1,317 @@
+import {Vector2} from '../math/vector2.js';
+import {Vector3} from '../math/vector3.js';
+
+/**
+ * Orbits the engine's camera around a target point using mouse, wheel, and touch input.
+ * - Left drag / one finger: orbit
+ * - Right drag / shift + left drag / two finger drag: pan
+ * - Wheel / pinch: zoom (changes the view height instead of the distance with an orthographic camera)
+ *
+ * Call update(deltaTime) once per frame, e.g. from Engine.onFrameUpdate.
+ */
+export class OrbitControls {
+    // region Fields
+
+    /** Rotation speed multiplier for drags. */
+    rotateSpeed = 1;
+    /** Zoom speed multiplier for the wheel and pinch gestures. */
+    zoomSpeed = 1;
+    /** Pan speed multiplier. */
+    panSpeed = 1;
+    /** Whether movement eases out after input stops. */
+    isDamping = true;
+    /** Fraction of the pending movement applied each frame (at 60 FPS) when damping. */
+    dampingFactor = 0.1;
+    /** Closest the camera can get to the target. */
+    minDistance = 0.5;
+    /** Farthest the camera can get from the target. */
+    maxDistance = Infinity;
+    /** Smallest view height zooming in reaches with orthographic projection. */
+    minOrthographicHeight = 0.01;
+    /** Largest view height zooming out reaches with orthographic projection. */
+    maxOrthographicHeight = Infinity;
+    /** Lowest pitch in radians (negative looks up from below). */
+    minPitch = -Math.PI / 2 + 0.01;
+    /** Highest pitch in radians (positive looks down from above). */
+    maxPitch = Math.PI / 2 - 0.01;
+
+    #camera;
+    #canvas;
+    #isEnabled = true;
+    #target;
+    #yaw = 0;
+    #pitch = 0;
+    #distance = 1;
+
+    // Pending movement that update() applies (and decays when damping)
+    #yawDelta = 0;
+    #pitchDelta = 0;
+    #zoomDelta = 0;
+    #panDelta = Vector3.zero();
+
+    // Active pointers by pointer ID, and the previous two-pointer gesture
+    #pointers = new Map();
+    #pinchDistance = null;
+    #pinchCenter = null;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates new OrbitControls and starts listening to the engine's canvas.
+     * The starting orbit is derived from the camera's current position.
+     * @param {Engine} engine - The engine whose camera and canvas are used.
+     * @param {Vector3} [target] - The point to orbit around (default Vector3.zero()).
+     */
+    constructor(engine, target = Vector3.zero()) {
+        this.#camera = engine.camera;
+        this.#canvas = engine.canvas;
+        this.#target = target;
+        this.#syncFromCamera();
+
+        // Let pointer events handle touch instead of the browser scrolling/zooming the page
+        this.#canvas.style.touchAction = 'none';
+
+        this.#canvas.addEventListener('pointerdown', this.#onPointerDown);
+        this.#canvas.addEventListener('pointermove', this.#onPointerMove);
+        this.#canvas.addEventListener('pointerup', this.#onPointerUp);
+        this.#canvas.addEventListener('pointercancel', this.#onPointerUp);
+        this.#canvas.addEventListener('wheel', this.#onWheel, {passive: false});
+        this.#canvas.addEventListener('contextmenu', this.#onContextMenu);
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets whether the controls respond to input and move the camera.
+     * @returns {boolean} True if enabled.
+     */
+    get isEnabled() {
+        return this.#isEnabled;
+    }
+
+    /**
+     * Enables or disables the controls (on by default).
+     * When re-enabled the orbit continues from wherever the camera was moved in the meantime.
+     * @param {boolean} enabled - Sets the state directly.
+     */
+    set isEnabled(enabled) {
+        if (enabled && !this.#isEnabled)
+            this.#syncFromCamera();
+
+        this.#isEnabled = enabled;
+    }
+
+    /**
+     * Gets the point the camera orbits around.
+     * @returns {Vector3} The orbit target.
+     */
+    get target() {
+        return this.#target;
+    }
+
+    /**
+     * Sets the point the camera orbits around, keeping the current distance and angles.
+     * @param {Vector3} target - The new orbit target.
+     */
+    set target(target) {
+        this.#target = target;
+    }
+
+    /**
+     * Gets the distance from the camera to the target.
+     * @returns {number} The orbit distance.
+     */
+    get distance() {
+        return this.#distance;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Applies pending input to the camera. Call once per frame.
+     * @param {number} deltaTime - Seconds since the last frame (used to keep damping frame-rate independent).
+     */
+    update(deltaTime) {
+        if (!this.#isEnabled)
+            return;
+
+        // Apply part of the pending movement (all of it without damping), scaled so 60 FPS matches dampingFactor
+        const applied = this.isDamping ? 1 - Math.pow(1 - this.dampingFactor, deltaTime * 60) : 1;
+
+        this.#yaw += this.#yawDelta * applied;
+        this.#pitch = Math.max(this.minPitch, Math.min(this.maxPitch, this.#pitch + this.#pitchDelta * applied));
+        this.#target = this.#target.getTranslated(this.#panDelta.getScaled(applied));
+
+        // Moving closer doesn't change the size of anything in orthographic projection, so zoom the view instead
+        const zoomScale = Math.exp(this.#zoomDelta * applied);
+
+        if (this.#camera.isOrthographic) {
+            if (this.#zoomDelta !== 0) {
+                this.#camera.orthographicHeight = Math.max(
+                    this.minOrthographicHeight,
+                    Math.min(this.maxOrthographicHeight, this.#camera.orthographicHeight * zoomScale)
+                );
+            }
+        } else {
+            this.#distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.#distance * zoomScale));
+        }
+
+        this.#yawDelta *= 1 - applied;
+        this.#pitchDelta *= 1 - applied;
+        this.#zoomDelta *= 1 - applied;
+        this.#panDelta = this.#panDelta.getScaled(1 - applied);
+
+        const cosPitch = Math.cos(this.#pitch);
+        const offset = new Vector3(
+            Math.sin(this.#yaw) * cosPitch,
+            Math.sin(this.#pitch),
+            -Math.cos(this.#yaw) * cosPitch
+        ).getScaled(this.#distance);
+
+        this.#camera.transform.setPosition(this.#target.getTranslated(offset));
+        this.#camera.lookAt(this.#target);
+    }
+
+    /**
+     * Removes all event listeners from the canvas. The controls can't be used afterward.
+     */
+    dispose() {
+        this.#canvas.removeEventListener('pointerdown', this.#onPointerDown);
+        this.#canvas.removeEventListener('pointermove', this.#onPointerMove);
+        this.#canvas.removeEventListener('pointerup', this.#onPointerUp);
+        this.#canvas.removeEventListener('pointercancel', this.#onPointerUp);
+        this.#canvas.removeEventListener('wheel', this.#onWheel);
+        this.#canvas.removeEventListener('contextmenu', this.#onContextMenu);
+        this.#pointers.clear();
+    }
+
+    // endregion
+
+    // region Event Handlers
+
+    /** @private */
+    #onPointerDown = (event) => {
+        if (!this.#isEnabled)
+            return;
+
+        this.#canvas.setPointerCapture(event.pointerId);
+        this.#pointers.set(event.pointerId, {
+            position: new Vector2(event.clientX, event.clientY),
+            isPanning: event.button === 2 || event.shiftKey
+        });
+        this.#pinchDistance = null;
+    };
+
+    /** @private */
+    #onPointerMove = (event) => {
+        const pointer = this.#pointers.get(event.pointerId);
+
+        if (!this.#isEnabled || !pointer)
+            return;
+
+        const position = new Vector2(event.clientX, event.clientY);
+        const dx = position.x - pointer.position.x;
+        const dy = position.y - pointer.position.y;
+        pointer.position = position;
+
+        if (this.#pointers.size >= 2) {
+            this.#handlePinch();
+            return;
+        }
+
+        if (pointer.isPanning)
+            this.#pan(dx, dy);
+        else
+            this.#rotate(dx, dy);
+    };
+
+    /** @private */
+    #onPointerUp = (event) => {
+        this.#pointers.delete(event.pointerId);
+        this.#pinchDistance = null;
+    };
+
+    /** @private */
+    #onWheel = (event) => {
+        if (!this.#isEnabled)
+            return;
+
+        event.preventDefault();
+        this.#zoomDelta += event.deltaY * 0.001 * this.zoomSpeed;
+    };
+
+    /** @private */
+    #onContextMenu = (event) => {
+        // Right drag pans, so the menu would get in the way
+        if (this.#isEnabled)
+            event.preventDefault();
+    };
+
+    // endregion
+
+    // region Helper Methods
+
+    /** @private */
+    #rotate(dx, dy) {
+        // A hidden canvas has no height to scale by
+        if (this.#canvas.clientHeight === 0)
+            return;
+
+        // A drag across the full canvas height is one full turn
+        const radiansPerPixel = (2 * Math.PI / this.#canvas.clientHeight) * this.rotateSpeed;
+        this.#yawDelta -= dx * radiansPerPixel;
+        this.#pitchDelta += dy * radiansPerPixel;
+    }
+
+    /** @private */
+    #pan(dx, dy) {
+        if (this.#canvas.clientHeight === 0)
+            return;
+
+        // Scale so the target moves with the cursor at the target's depth
+        const viewHeight = this.#camera.isOrthographic
+            ? this.#camera.orthographicHeight
+            : 2 * this.#distance * Math.tan((this.#camera.fov * Math.PI / 180) / 2);
+        const unitsPerPixel = (viewHeight / this.#canvas.clientHeight) * this.panSpeed;
+
+        const worldMatrix = this.#camera.transform.worldMatrix;
+        const right = worldMatrix.transformDirection(Vector3.right()).getNormalized();
+        const up = worldMatrix.transformDirection(Vector3.up()).getNormalized();
+
+        this.#panDelta = this.#panDelta
+            .getTranslated(right.getScaled(-dx * unitsPerPixel))
+            .getTranslated(up.getScaled(dy * unitsPerPixel));
+    }
+
+    /** @private */
+    #handlePinch() {
+        const [a, b] = [...this.#pointers.values()];
+        const distance = Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y);
+        const center = new Vector2((a.position.x + b.position.x) / 2, (a.position.y + b.position.y) / 2);
+
+        if (this.#pinchDistance !== null && distance > 0) {
+            // Fingers moving apart zooms in
+            this.#zoomDelta += Math.log(this.#pinchDistance / distance) * this.zoomSpeed;
+            this.#pan(center.x - this.#pinchCenter.x, center.y - this.#pinchCenter.y);
+        }
+
+        this.#pinchDistance = distance;
+        this.#pinchCenter = center;
+    }
+
+    /** @private */
+    #syncFromCamera() {
+        const offset = this.#camera.transform.worldPosition.getDifference(this.#target);
+        this.#distance = Math.max(offset.getMagnitude(), this.minDistance);
+        this.#pitch = Math.asin(Math.max(-1, Math.min(1, offset.y / this.#distance)));
+        this.#yaw = Math.atan2(offset.x, -offset.z);
+    }
+
+    // endregion
+}
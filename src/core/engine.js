@@ -2,9 +2,21 @@ import {Renderer} from '../rendering/renderer.js';
 import {Camera} from '../rendering/camera.js';
 import {ProjectedFace} from '../rendering/projected-face.js';
 import {ColorUtils} from '../rendering/color-utils.js';
+import {Color} from '../rendering/color.js';
+import {DepthBufferRasterizer} from '../rendering/depth-buffer-rasterizer.js';
+import {BspTree} from '../rendering/bsp-tree.js';
+import {HiddenLineRemover} from '../rendering/hidden-line-remover.js';
 import {Vector2} from '../math/vector2.js';
+import {Vector3} from '../math/vector3.js';
+import {Ray} from '../math/ray.js';
 import {Scene} from './scene.js';
 
+/**
+ * Widest an edge gets from width attenuation, in pixels. Attenuated widths grow without bound as edges near the
+ * camera, and the depth buffer draws every step of an edge with a square brush as wide as the edge.
+ */
+const MAX_ATTENUATED_LINE_WIDTH = 64;
+
 /**
  * The main engine that manages the render loop, camera, and scene.
  */
@@ -15,6 +27,18 @@ export class Engine {
     #camera;
     scene = new Scene();
     #isDepthSorting = true;
+    #depthSortMode = 'average';
+    #isDepthBuffering = false;
+    #isHiddenLineRemoval = false;
+    #visibleEdgeSegments = [];
+    #bspCache = null;
+    #rasterizer = new DepthBufferRasterizer();
+    #isFrustumCulling = true;
+    #cullingStats = {visibleCount: 0, culledCount: 0};
+    #lastFrameFaces = [];
+    #pointerEvent = null;
+    #hoveredObject = null;
+    #pressedObject = null;
     #isRunning = false;
     #lastFrameTime = 0;
     #fps = 0;
@@ -24,9 +48,16 @@ export class Engine {
     #depthFog = {
         enabled: false,
         color: '#000000',
+        mode: 'linear',
         near: 5,
-        far: 50
+        far: 50,
+        density: 0.05,
+        heightFalloff: null,
+        heightBase: 0,
+        colorSpace: 'rgb'
     }
+    #fogViewMatrix = null;
+    #fogCameraToWorldMatrix = null;
 
     // endregion
 
@@ -39,12 +70,26 @@ export class Engine {
     constructor(canvas) {
         this.#renderer = new Renderer(canvas);
         this.#camera = new Camera(new Vector2(canvas.width, canvas.height));
+
+        // Scene object pointer events (see SceneObject.on)
+        canvas.addEventListener('pointermove', this.#onPointerMove);
+        canvas.addEventListener('pointerdown', this.#onPointerDown);
+        canvas.addEventListener('pointerup', this.#onPointerUp);
+        canvas.addEventListener('pointerleave', this.#onPointerLeave);
     }
 
     // endregion
 
     // region Getter Properties
 
+    /**
+     * Gets the canvas element being rendered to.
+     * @returns {HTMLCanvasElement} The canvas.
+     */
+    get canvas() {
+        return this.#renderer.canvas;
+    }
+
     /**
      * Gets the camera instance.
      * @returns {Camera} The camera.
@@ -55,7 +100,8 @@ export class Engine {
 
     /**
      * Gets the current depth fog configuration.
-     * @returns {{enabled: boolean, color: string, near: number, far: number}} The fog settings.
+     * @returns {{enabled: boolean, color: string, mode: string, near: number, far: number, density: number,
+     *   heightFalloff: number|null, heightBase: number, colorSpace: string}} The fog settings.
      */
     get depthFog() {
         return {...this.#depthFog};
@@ -94,13 +140,47 @@ export class Engine {
     }
 
     /**
-     * Gets the current bloom configuration.
-     * @returns {{enabled: boolean, blur: number, color: string|null}} Bloom settings.
+     * Gets the current global bloom configuration.
+     * @returns {{enabled: boolean, blur: number, color: string|null, passes: number}} Bloom settings.
      */
     get bloom() {
         return this.#renderer.bloom;
     }
 
+    /**
+     * Gets the post-processing passes, in the order they're applied.
+     * @returns {PostProcessPass[]} A copy of the pass list.
+     */
+    get postProcessPasses() {
+        return this.#renderer.postProcessPasses;
+    }
+
+    /**
+     * Gets how faces are ordered when depth sorting.
+     * @returns {'average'|'bsp'} The depth sort mode.
+     */
+    get depthSortMode() {
+        return this.#depthSortMode;
+    }
+
+    /**
+     * Gets the edge pieces drawn in the last frame with hidden line removal (empty in other modes).
+     * Useful for plotting or exporting the frame as vector graphics (e.g. SVG lines).
+     * @returns {{start: Vector2, end: Vector2, startColor: string, endColor: string, sceneObject: SceneObject,
+     *   faceIndex: number}[]} The visible segments in screen coordinates, with fog applied to the colors.
+     */
+    get visibleEdgeSegments() {
+        return [...this.#visibleEdgeSegments];
+    }
+
+    /**
+     * Gets how many scene objects were drawn and skipped by frustum culling in the last frame.
+     * @returns {{visibleCount: number, culledCount: number}} The object counts.
+     */
+    get cullingStats() {
+        return {...this.#cullingStats};
+    }
+
     get isBackgroundGradient() {
         return this.#renderer.isBackgroundGradient;
     }
@@ -124,17 +204,103 @@ export class Engine {
     }
 
     /**
-     * Configures depth fog effect (off by default, near=5, far=50, color #000000).
-     * When enabled, objects fade toward the fog color based on their distance from the camera.
-     * @param {{enabled?: boolean, color?: string, near?: number, far?: number}} options - Fog configuration.
+     * Sets how faces are ordered when depth sorting ('average' by default).
+     * - 'average': sort by each face's average depth. Fast, but overlapping objects can be drawn in the wrong
+     *   order (faces flicker in front of each other).
+     * - 'bsp': order faces with a BSP tree, splitting faces where needed. Always correct, but rebuilding the tree
+     *   is slow for meshes with many faces, so it's only rebuilt when the camera or any face moves.
+     * @param {'average'|'bsp'} mode - The depth sort mode.
+     * @throws {Error} If the mode is not supported.
+     */
+    set depthSortMode(mode) {
+        if (mode !== 'average' && mode !== 'bsp')
+            throw new Error(`Unsupported depth sort mode: ${mode}`);
+
+        this.#depthSortMode = mode;
+    }
+
+    /**
+     * Toggles the depth buffer render mode on or off (off by default).
+     * When enabled, faces are rasterized into a per-pixel depth buffer instead of being sorted, so intersecting
+     * and long faces occlude correctly, and edges are only drawn where they aren't hidden. Overrides depth sorting.
+     * Edges are drawn 1 pixel wide and it's slower than depth sorting on large canvases.
+     * @param {boolean} [enabled] - Sets the state directly.
+     */
+    set isDepthBuffering(enabled) {
+        this.#isDepthBuffering = enabled;
+    }
+
+    /**
+     * Toggles hidden line removal on or off (off by default).
+     * When enabled, only the visible parts of edges are drawn, computed exactly instead of covering hidden edges
+     * with filled faces. Works with background gradients, bloom, and transparent backgrounds, and the segments
+     * can be read back with visibleEdgeSegments. Faces aren't filled. Overrides depth sorting and depth buffering.
+     * @param {boolean} [enabled] - Sets the state directly.
+     */
+    set isHiddenLineRemoval(enabled) {
+        this.#isHiddenLineRemoval = enabled;
+    }
+
+    /**
+     * Toggles frustum culling on or off (on by default).
+     * When enabled, scene objects whose bounds are outside the camera's view are skipped before projecting faces.
+     * @param {boolean} [enabled] - Sets the state directly.
+     */
+    set isFrustumCulling(enabled) {
+        this.#isFrustumCulling = enabled;
+    }
+
+    /**
+     * Configures depth fog effect (off by default, mode 'linear', near=5, far=50, density=0.05, no height fog,
+     * color #000000, colorSpace 'rgb').
+     * When enabled, objects fade toward the fog color based on their distance from the camera:
+     * - 'linear' fades from none at near to full at far.
+     * - 'exp' and 'exp2' thicken with distance by density, without a hard start or end ('exp2' stays clear longer).
+     *
+     * Setting heightFalloff also thins the fog above heightBase (world Y), so it settles low like a ground fog.
+     * Colors blend in the color space ('rgb', 'hsl', or 'oklab' for a perceptually even fade).
+     * @param {{enabled?: boolean, color?: string, mode?: string, near?: number, far?: number, density?: number,
+     *   heightFalloff?: number|null, heightBase?: number, colorSpace?: string}} options - Fog configuration.
+     * @throws {Error} If the mode, color, or color space isn't supported, a distance isn't a finite number, the
+     *   density or heightFalloff is negative, or near isn't less than far.
      */
     set depthFog(options) {
-        this.#depthFog = {...this.#depthFog, ...options};
+        if (options.mode !== undefined && !['linear', 'exp', 'exp2'].includes(options.mode))
+            throw new Error(`Unsupported fog mode: ${options.mode}`);
+
+        if (options.color !== undefined)
+            Color.validate(options.color);
+
+        if (options.colorSpace !== undefined)
+            Color.validateColorSpace(options.colorSpace);
+
+        for (const key of ['near', 'far', 'heightBase']) {
+            if (options[key] !== undefined && !Number.isFinite(options[key]))
+                throw new Error(`Unsupported fog ${key}: ${options[key]}`);
+        }
+
+        for (const key of ['density', 'heightFalloff']) {
+            const value = options[key];
+
+            // heightFalloff can be null to turn height fog off
+            if (value !== undefined && !(key === 'heightFalloff' && value === null) &&
+                (!Number.isFinite(value) || value < 0))
+                throw new Error(`Unsupported fog ${key}: ${value}`);
+        }
+
+        const depthFog = {...this.#depthFog, ...options};
+
+        // Linear fog divides by far - near
+        if (depthFog.near >= depthFog.far)
+            throw new Error(`Expected fog near below fog far but got ${depthFog.near} and ${depthFog.far}`);
+
+        this.#depthFog = depthFog;
     }
 
     /**
      * Sets the background color (black by default).
      * @param {string} color - The background color (hex string or CSS color).
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set backgroundColor(color) {
         this.#renderer.backgroundColor = color;
@@ -143,6 +309,7 @@ export class Engine {
     /**
      * Sets the background gradient end color. Set to null to disable gradient (null by default).
      * @param {string|null} color - The gradient end color, or null to disable.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set backgroundGradientColor(color) {
         this.#renderer.backgroundGradientColor = color;
@@ -151,6 +318,7 @@ export class Engine {
     /**
      * Sets the debug text color (used for FPS counter and is white by default).
      * @param {string} color - The debug text color.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set debugTextColor(color) {
         this.#renderer.debugTextColor = color;
@@ -159,8 +327,10 @@ export class Engine {
     /**
      * Sets the default edge color for faces without explicit color (green by default).
      * @param {string} color - The default edge color.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set defaultEdgeColor(color) {
+        Color.validate(color);
         this.#defaultEdgeColor = color;
     }
 
@@ -173,17 +343,31 @@ export class Engine {
     }
 
     /**
-     * Configures global bloom effect (off by default, blur radius 5, glow color same as edges).
-     * When enabled, edges glow with a soft blur effect.
-     * @param {{enabled?: boolean, blur?: number, color?: string|null}} options - Bloom settings.
+     * Configures global bloom effect (off by default, blur radius 5, glow color same as edges, 1 pass).
+     * When enabled, edges glow with a soft blur effect. Materials can override whether their edges glow and how
+     * (see Material.bloom), so only some objects glow even with global bloom off.
+     * @param {{enabled?: boolean, blur?: number, color?: string|null, passes?: number}} options - Bloom settings.
      *   - enabled: Whether bloom is active (default false)
-     *   - blur: Blur radius in pixels (default 15)
+     *   - blur: Blur radius in pixels (default 5)
      *   - color: Glow color, or null to use edge color (default null)
+     *   - passes: How many times the glow is added, each with double the blur radius, up to 8 (default 1)
+     * @throws {Error} If the color isn't supported (see Color.parse), the blur is negative or not a number, or the
+     *   passes aren't a whole number of at least 1.
      */
     set bloom(options) {
         this.#renderer.bloom = options;
     }
 
+    /**
+     * Sets the post-processing passes applied to each finished frame, in order (none by default).
+     * Each pass draws on the frame as the passes before it left it. Bloom is applied before all of them unless the
+     * list has its own BloomPass, and the frame rate counter is drawn after them so it stays readable.
+     * @param {PostProcessPass[]} passes - The passes (e.g. [new PixelationPass(4), new ScanlinesPass()]).
+     */
+    set postProcessPasses(passes) {
+        this.#renderer.postProcessPasses = passes;
+    }
+
     /**
      * Sets the screen size (determined by canvas size at initialization).
      * This can be called while/before/after the engine is running.
@@ -213,6 +397,66 @@ export class Engine {
         this.#isRunning = false;
     }
 
+    /**
+     * Stops the render loop and removes the pointer listeners the engine added to the canvas, so the engine can be
+     * garbage collected. The engine shouldn't be started again afterwards.
+     */
+    dispose() {
+        this.stop();
+
+        const canvas = this.#renderer.canvas;
+        canvas.removeEventListener('pointermove', this.#onPointerMove);
+        canvas.removeEventListener('pointerdown', this.#onPointerDown);
+        canvas.removeEventListener('pointerup', this.#onPointerUp);
+        canvas.removeEventListener('pointerleave', this.#onPointerLeave);
+
+        this.#pointerEvent = null;
+        this.#hoveredObject = null;
+        this.#pressedObject = null;
+        this.#lastFrameFaces = [];
+    }
+
+    // endregion
+
+    // region Export Methods
+
+    /**
+     * Draws the scene as it is now to another render backend, e.g. an SvgRenderer to export a vector illustration.
+     * The backend gets the engine's background colors and is drawn at its own size. Backends that don't draw pixels
+     * skip bloom, post-processing, and depth buffering (faces are still depth sorted if isDepthSorting is on, and
+     * hidden line removal gives the cleanest vector output). Pointer events, visibleEdgeSegments, and cullingStats
+     * keep describing what's drawn on the canvas.
+     * @param {RenderBackend} backend - The backend to draw to.
+     * @returns {RenderBackend} The backend, to chain (e.g. engine.renderTo(svgRenderer).toString()).
+     */
+    renderTo(backend) {
+        const renderer = this.#renderer;
+        const lastFrameFaces = this.#lastFrameFaces;
+        const visibleEdgeSegments = this.#visibleEdgeSegments;
+        const cullingStats = this.#cullingStats;
+
+        backend.backgroundColor = renderer.backgroundColor;
+        backend.backgroundGradientColor = renderer.backgroundGradientColor;
+        this.#renderer = backend;
+        this.#camera.setScreenSize(new Vector2(backend.screenWidth, backend.screenHeight));
+
+        try {
+            backend.clear();
+            this.#renderAllObjects();
+
+            if (backend.isRaster)
+                backend.applyPostProcessing(performance.now());
+        } finally {
+            this.#renderer = renderer;
+            this.#lastFrameFaces = lastFrameFaces;
+            this.#visibleEdgeSegments = visibleEdgeSegments;
+            this.#cullingStats = cullingStats;
+            this.#camera.setScreenSize(new Vector2(renderer.screenWidth, renderer.screenHeight));
+        }
+
+        return backend;
+    }
+
     // endregion
 
     // region Frame Update Methods
@@ -232,57 +476,85 @@ export class Engine {
 
         this.#renderer.clear();
         this.#renderAllObjects();
+        this.#renderer.applyPostProcessing(now);
 
         if (this.#isFrameRateCounter)
             this.#renderer.renderFPS(this.#fps);
 
+        // Objects can move under a still pointer, so hover is checked against every new frame
+        this.#updateHoveredObject();
+
         requestAnimationFrame(() => this.#frameUpdate());
     }
 
     /** @private */
     #renderAllObjects() {
         // Collect all projected faces from all objects
-        const allFaces = [];
+        let allFaces = [];
+        let visibleCount = 0;
+        let culledCount = 0;
 
-        for (const obj of this.scene.sceneObjects) {
-            const projectedFaces = this.#camera.projectSceneObject(obj);
+        const lights = this.scene.lights;
+
+        this.scene.traverse(obj => {
+            // Skip objects entirely outside the view before doing any per-face work
+            if (this.#isFrustumCulling && !this.#camera.isSceneObjectInFrustum(obj)) {
+                culledCount++;
+                return;
+            }
+
+            visibleCount++;
+            const projectedFaces = this.#camera.projectSceneObject(obj, lights);
             allFaces.push(...projectedFaces);
-        }
+        });
+
+        this.#cullingStats = {visibleCount, culledCount};
+
+        // Backends that don't draw pixels (e.g. SVG) can't depth buffer, so they depth sort instead
+        const isDepthBuffering = this.#isDepthBuffering && this.#renderer.isRaster;
 
         // Sort if depth sorting is enabled (back-to-front)
-        if (this.#isDepthSorting)
-            allFaces.sort(ProjectedFace.compareByDepth);
+        if (this.#isDepthSorting && !isDepthBuffering && !this.#isHiddenLineRemoval) {
+            if (this.#depthSortMode === 'bsp') {
+                allFaces = this.#getBspOrderedFaces(allFaces);
+            } else {
+                allFaces.sort(ProjectedFace.compareByDepth);
+
+                // Opaque faces sorted in the wrong order would cover translucent ones, so those are drawn last
+                allFaces = [
+                    ...allFaces.filter(face => !Engine.#isTranslucent(face)),
+                    ...allFaces.filter(face => Engine.#isTranslucent(face))
+                ];
+            }
+        }
+
+        // Keep what's on screen so pointer events hit exactly what was drawn
+        this.#lastFrameFaces = allFaces;
+        this.#visibleEdgeSegments = [];
+
+        if (this.#isHiddenLineRemoval) {
+            this.#renderVisibleEdges(allFaces);
+            return;
+        }
+
+        if (isDepthBuffering) {
+            this.#rasterizeFaces(allFaces);
+            return;
+        }
 
         // Clear bloom canvas at start of frame
-        const bloomEnabled = this.#renderer.isBloomEnabled();
+        const bloomEnabled = this.#isBloomActive(allFaces);
         if (bloomEnabled)
             this.#renderer.clearBloomCanvas();
 
+        const edgeOwners = this.#getEdgeOwners(allFaces);
+
         // Render each face
         for (const face of allFaces) {
             const positions = face.screenPositions;
-
-            // Determine edge color(s)
-            let edgeColor = face.color || this.#defaultEdgeColor;
-            let gradientEndColor = face.gradientColor;
-            let fillColor = face.faceColor;
-
-            // Apply depth fog if enabled
-            if (this.#depthFog.enabled) {
-                const fogAmount = ColorUtils.calculateFogAmount(
-                    face.depth,
-                    this.#depthFog.near,
-                    this.#depthFog.far
-                );
-
-                edgeColor = ColorUtils.applyFog(edgeColor, this.#depthFog.color, fogAmount);
-
-                if (gradientEndColor)
-                    gradientEndColor = ColorUtils.applyFog(gradientEndColor, this.#depthFog.color, fogAmount);
-
-                if (fillColor)
-                    fillColor = ColorUtils.applyFog(fillColor, this.#depthFog.color, fogAmount);
-            }
+            const colors = this.#getFaceColors(face);
+            const {fillColor, faceOpacity} = colors;
+            const bloom = bloomEnabled ? this.#getBloom(face.sceneObject.material) : null;
 
             // Fill face to occlude faces behind (depth sorting) or render face color
             if (this.#isDepthSorting) {
@@ -307,40 +579,622 @@ export class Engine {
                     } else {
                         occlusionColor = this.#renderer.backgroundColor;
                     }
+
+                    occlusionColor = ColorUtils.applyOpacity(occlusionColor, faceOpacity);
                 }
 
                 this.#renderer.fillFace(positions, occlusionColor);
 
-                // Also fill on bloom canvas if bloom is enabled
-                if (bloomEnabled)
-                    this.#renderer.fillFaceOnBloom(positions, occlusionColor);
+                // Also fill on bloom canvas if bloom is enabled. Faces that don't glow still hide the glow behind them
+                if (bloomEnabled) {
+                    const bloomFillColor = bloom.isGlowing
+                        ? occlusionColor
+                        : new Color(0, 0, 0, Color.parse(occlusionColor).a).toHex();
+                    this.#renderer.fillFaceOnBloom(positions, bloomFillColor);
+                }
             }
 
             // Draw edges to main-canvas
             for (let i = 0; i < positions.length; i++) {
+                const meshEdge = face.getMeshEdge(i);
+
+                // Edges created by clipping or splitting faces aren't part of the mesh, and shared edges are drawn once
+                if (meshEdge === null || edgeOwners.get(face.sceneObject).get(meshEdge.edgeIndex) !== face.faceIndex)
+                    continue;
+
+                const next = (i + 1) % positions.length;
                 const startPos = positions[i];
-                const endPos = positions[(i + 1) % positions.length];
+                const endPos = positions[next];
+                const {startColor, endColor} = Engine.#getEdgeColors(colors, i, meshEdge.isReversed);
+                const material = face.sceneObject.material;
+                const lineStyle = Engine.#getLineStyle(
+                    material,
+                    (face.vertexDepths[i] + face.vertexDepths[next]) / 2
+                );
+                const colorSpace = material.gradientColorSpace;
 
-                if (gradientEndColor)
-                    this.#renderer.renderEdgeGradient(startPos, endPos, edgeColor, gradientEndColor);
+                if (endColor)
+                    this.#renderer.renderEdgeGradient(startPos, endPos, startColor, endColor, lineStyle, colorSpace);
                 else
-                    this.#renderer.renderEdgeWithColor(startPos, endPos, edgeColor);
+                    this.#renderer.renderEdgeWithColor(startPos, endPos, startColor, lineStyle);
+
+                // Also draw to bloom canvas if the edge glows
+                if (bloom?.isGlowing)
+                    this.#renderEdgeToBloom(startPos, endPos, startColor, endColor, lineStyle, colorSpace, bloom);
+            }
+        }
+    }
+
+    /**
+     * Orders faces back-to-front with a BSP tree, splitting faces that can't be ordered as a whole. The tree is
+     * kept between frames and only rebuilt when a face moves (or the camera does) or the set of faces changes.
+     * @param {ProjectedFace[]} faces - The faces to order.
+     * @returns {ProjectedFace[]} The faces and face pieces in drawing order.
+     * @private
+     */
+    #getBspOrderedFaces(faces) {
+        if (!this.#isBspCacheValid(faces)) {
+            // Polygon sources are face indices so a kept tree can be mapped to the faces of a later frame
+            const polygons = faces.map((face, index) => ({
+                positions: face.cameraSpacePositions,
+                edgeSources: null,
+                attributes: face.vertexColors ? ColorUtils.hexToAttributes(face.vertexColors) : null,
+                source: index
+            }));
+
+            this.#bspCache = {faces, polygons, tree: new BspTree(polygons)};
+        }
+
+        const {polygons, tree} = this.#bspCache;
+
+        return tree.getBackToFront(this.#camera.isOrthographic).map(({positions, edgeSources, attributes, source}) => {
+            const face = faces[source];
+
+            if (positions === polygons[source].positions)
+                return face;
+
+            const screenPositions = positions.map(p => this.#camera.projectToScreen(p));
+            const vertexColors = attributes ? ColorUtils.attributesToHex(attributes) : null;
+            return face.getFragment(positions, screenPositions, edgeSources, vertexColors);
+        });
+    }
+
+    /**
+     * Checks whether the cached BSP tree was built from the same faces, in the same camera space positions and
+     * with the same vertex colors, as this frame's.
+     * @param {ProjectedFace[]} faces - This frame's faces.
+     * @returns {boolean} True if the cached tree can be reused.
+     * @private
+     */
+    #isBspCacheValid(faces) {
+        const cachedFaces = this.#bspCache?.faces;
+
+        if (!cachedFaces || cachedFaces.length !== faces.length)
+            return false;
+
+        return faces.every((face, index) => {
+            const cachedFace = cachedFaces[index];
+            const positions = face.cameraSpacePositions;
+            const cachedPositions = cachedFace.cameraSpacePositions;
+
+            return face.sceneObject === cachedFace.sceneObject
+                && face.faceIndex === cachedFace.faceIndex
+                && positions.length === cachedPositions.length
+                && positions.every((p, i) => {
+                    const cached = cachedPositions[i];
+                    return p.x === cached.x && p.y === cached.y && p.z === cached.z;
+                })
+                && String(face.vertexColors) === String(cachedFace.vertexColors);
+        });
+    }
+
+    /**
+     * Picks the face that draws each mesh edge: the last one drawn that has it, so the edge ends up on top of
+     * both faces sharing it. Pieces of a split face all count as that face.
+     * @param {ProjectedFace[]} faces - The faces in drawing order.
+     * @returns {Map<SceneObject, Map<number, number>>} For each scene object, the index of the face that draws
+     *   each of its mesh edges.
+     * @private
+     */
+    #getEdgeOwners(faces) {
+        const owners = new Map();
+
+        for (const face of faces) {
+            if (!owners.has(face.sceneObject))
+                owners.set(face.sceneObject, new Map());
+
+            const edgeOwners = owners.get(face.sceneObject);
+
+            for (let i = 0; i < face.screenPositions.length; i++) {
+                const meshEdge = face.getMeshEdge(i);
+
+                if (meshEdge !== null)
+                    edgeOwners.set(meshEdge.edgeIndex, face.faceIndex);
+            }
+        }
+
+        return owners;
+    }
+
+    /**
+     * Draws only the visible parts of edges (hidden line removal).
+     * @param {ProjectedFace[]} faces - The faces whose edges to draw, in any order.
+     * @private
+     */
+    #renderVisibleEdges(faces) {
+        const bloomEnabled = this.#isBloomActive(faces);
+        if (bloomEnabled)
+            this.#renderer.clearBloomCanvas();
+
+        const segments = HiddenLineRemover.getVisibleSegments(faces, this.#camera.isOrthographic);
+        const faceColors = new Map();
 
-                // Also draw to bloom canvas if enabled
-                if (!bloomEnabled)
+        for (const {start, end, startT, endT, face, edgeIndex} of segments) {
+            if (!faceColors.has(face))
+                faceColors.set(face, this.#getFaceColors(face));
+
+            // Gradients run along each whole edge, so pieces get the colors at their ends
+            const isReversed = face.getMeshEdge(edgeIndex).isReversed;
+            const edgeColors = Engine.#getEdgeColors(faceColors.get(face), edgeIndex, isReversed);
+            const isGradient = edgeColors.endColor !== null;
+            const colorSpace = face.sceneObject.material.gradientColorSpace;
+            const startColor = isGradient
+                ? ColorUtils.interpolate(edgeColors.startColor, edgeColors.endColor, startT, colorSpace)
+                : edgeColors.startColor;
+            const endColor = isGradient
+                ? ColorUtils.interpolate(edgeColors.startColor, edgeColors.endColor, endT, colorSpace)
+                : edgeColors.startColor;
+            const startPos = this.#camera.projectToScreen(start);
+            const endPos = this.#camera.projectToScreen(end);
+            const lineStyle = Engine.#getLineStyle(face.sceneObject.material, (start.z + end.z) / 2);
+
+            this.#visibleEdgeSegments.push({
+                start: startPos,
+                end: endPos,
+                startColor,
+                endColor,
+                sceneObject: face.sceneObject,
+                faceIndex: face.faceIndex
+            });
+
+            if (isGradient)
+                this.#renderer.renderEdgeGradient(startPos, endPos, startColor, endColor, lineStyle, colorSpace);
+            else
+                this.#renderer.renderEdgeWithColor(startPos, endPos, startColor, lineStyle);
+
+            const bloom = bloomEnabled ? this.#getBloom(face.sceneObject.material) : null;
+
+            if (bloom?.isGlowing) {
+                this.#renderEdgeToBloom(
+                    startPos, endPos, startColor, isGradient ? endColor : null, lineStyle, colorSpace, bloom
+                );
+            }
+        }
+    }
+
+    /**
+     * Draws faces with the depth buffer rasterizer: fills first, then depth-tested edges.
+     * @param {ProjectedFace[]} faces - The faces to draw, in any order.
+     * @private
+     */
+    #rasterizeFaces(faces) {
+        const bloomEnabled = this.#isBloomActive(faces);
+
+        // Start from the cleared canvas so the background (and gradient) shows around and through faces
+        const imageData = this.#renderer.getImageData();
+        const edgeImageData = bloomEnabled ? this.#renderer.createImageData() : null;
+        this.#rasterizer.begin(imageData, !this.#camera.isOrthographic, edgeImageData);
+
+        const faceColors = faces.map(face => this.#getFaceColors(face));
+
+        // Translucent faces blend with what's behind them, so they go after every opaque face, back-to-front
+        const fillOrder = faces.map((face, i) => i);
+        const isTranslucent = faces.map(face => Engine.#isTranslucent(face));
+        fillOrder.sort((a, b) => isTranslucent[a] - isTranslucent[b] ||
+            (isTranslucent[a] ? ProjectedFace.compareByDepth(faces[a], faces[b]) : 0));
+
+        // Opaque faces without a fill color still hide what's behind them, like the occlusion fill when depth sorting
+        for (const i of fillOrder) {
+            const fillColor = faceColors[i].fillColor;
+
+            if (isTranslucent[i] && !fillColor)
+                continue;
+
+            this.#rasterizer.fillPolygon(
+                faces[i].screenPositions,
+                faces[i].vertexDepths,
+                fillColor ? ColorUtils.hexToRgb(fillColor) : null
+            );
+        }
+
+        const edgeOwners = this.#getEdgeOwners(faces);
+
+        for (let i = 0; i < faces.length; i++) {
+            const face = faces[i];
+            const {screenPositions, vertexDepths} = face;
+
+            if (bloomEnabled) {
+                const bloom = this.#getBloom(face.sceneObject.material);
+                const glowColor = bloom.color ? ColorUtils.hexToRgb(bloom.color) : null;
+                this.#rasterizer.setEdgeGlow(bloom.isGlowing ? {color: glowColor, intensity: bloom.intensity} : null);
+            }
+
+            for (let j = 0; j < screenPositions.length; j++) {
+                const meshEdge = face.getMeshEdge(j);
+
+                if (meshEdge === null || edgeOwners.get(face.sceneObject).get(meshEdge.edgeIndex) !== face.faceIndex)
                     continue;
 
-                if (gradientEndColor)
-                    this.#renderer.renderEdgeGradientToBloom(startPos, endPos, edgeColor, gradientEndColor);
-                else
-                    this.#renderer.renderEdgeToBloom(startPos, endPos, edgeColor);
+                const k = (j + 1) % screenPositions.length;
+                const {startColor, endColor} = Engine.#getEdgeColors(faceColors[i], j, meshEdge.isReversed);
+                const startRgb = ColorUtils.hexToRgb(startColor);
+                const depth = (vertexDepths[j] + vertexDepths[k]) / 2;
+                const material = face.sceneObject.material;
+                const lineStyle = Engine.#getLineStyle(material, depth);
+
+                this.#rasterizer.drawLine(
+                    screenPositions[j], screenPositions[k],
+                    vertexDepths[j], vertexDepths[k],
+                    startRgb, endColor ? ColorUtils.hexToRgb(endColor) : startRgb,
+                    lineStyle, material.gradientColorSpace
+                );
             }
         }
 
-        // Composite bloom at end-of-frame
+        this.#renderer.putImageData(imageData);
+
         if (bloomEnabled) {
-            this.#renderer.compositeBloom();
+            this.#renderer.putBloomImageData(edgeImageData);
+        }
+    }
+
+    /**
+     * Gets the colors to draw a face with, including depth fog.
+     * @param {ProjectedFace} face - The face.
+     * @returns {{edgeColor: string, gradientEndColor: string|null, fillColor: string|null,
+     *   vertexColors: string[]|null, faceOpacity: number}} The colors, with the material's opacities applied.
+     *   faceOpacity is for fills that don't use fillColor.
+     * @private
+     */
+    #getFaceColors(face) {
+        let edgeColor = face.color || this.#defaultEdgeColor;
+        let gradientEndColor = face.gradientColor;
+        let fillColor = face.faceColor;
+        let vertexColors = face.vertexColors;
+
+        // Apply depth fog if enabled
+        if (this.#depthFog.enabled) {
+            const {color: fogColor, colorSpace} = this.#depthFog;
+            const fogAmount = this.#getFogAmount(face);
+            const applyFog = color => ColorUtils.applyFog(color, fogColor, fogAmount, colorSpace);
+
+            edgeColor = applyFog(edgeColor);
+
+            if (gradientEndColor)
+                gradientEndColor = applyFog(gradientEndColor);
+
+            if (fillColor)
+                fillColor = applyFog(fillColor);
+
+            if (vertexColors)
+                vertexColors = vertexColors.map(applyFog);
+        }
+
+        // Fog blends toward an opaque color, so opacity goes on afterward
+        const {opacity, edgeOpacity, faceOpacity} = face.sceneObject.material;
+        const edgeAlpha = opacity * edgeOpacity;
+        const faceAlpha = opacity * faceOpacity;
+
+        if (edgeAlpha < 1) {
+            edgeColor = ColorUtils.applyOpacity(edgeColor, edgeAlpha);
+
+            if (gradientEndColor)
+                gradientEndColor = ColorUtils.applyOpacity(gradientEndColor, edgeAlpha);
+
+            if (vertexColors)
+                vertexColors = vertexColors.map(color => ColorUtils.applyOpacity(color, edgeAlpha));
+        }
+
+        if (fillColor)
+            fillColor = ColorUtils.applyOpacity(fillColor, faceAlpha);
+
+        return {edgeColor, gradientEndColor, fillColor, vertexColors, faceOpacity: faceAlpha};
+    }
+
+    /**
+     * Checks whether anything glows this frame: global bloom is on, or a material turns bloom on for itself.
+     * @param {ProjectedFace[]} faces - The faces being drawn.
+     * @returns {boolean} True if the bloom canvas is needed.
+     * @private
+     */
+    #isBloomActive(faces) {
+        if (!this.#renderer.isRaster)
+            return false;
+
+        return this.#renderer.isBloomEnabled() || faces.some(face => face.sceneObject.material.bloom.enabled === true);
+    }
+
+    /**
+     * Gets how a material's edges glow, using the global bloom settings for anything the material leaves unset.
+     * @param {Material} material - The material.
+     * @returns {{isGlowing: boolean, color: string|null, intensity: number}} Whether the edges glow, the glow color
+     *   (null to glow in the edge colors), and the glow brightness.
+     * @private
+     */
+    #getBloom(material) {
+        const {enabled, color, intensity} = material.bloom;
+        const globalBloom = this.#renderer.bloom;
+
+        return {
+            isGlowing: enabled ?? globalBloom.enabled,
+            color: color ?? globalBloom.color,
+            intensity
+        };
+    }
+
+    /**
+     * Draws an edge to the bloom canvas in its glow color, or else in its own colors.
+     * @param {Vector2} startPos - The start position in screen coordinates.
+     * @param {Vector2} endPos - The end position in screen coordinates.
+     * @param {string} startColor - The edge color at the start.
+     * @param {string|null} endColor - The edge color at the end, or null if the edge isn't a gradient.
+     * @param {{width: number, dash: ReadonlyArray<number>, cap: string, join: string}} lineStyle - The stroke style.
+     * @param {string} colorSpace - The color space to interpolate gradients in.
+     * @param {{color: string|null, intensity: number}} bloom - The glow from #getBloom.
+     * @private
+     */
+    #renderEdgeToBloom(startPos, endPos, startColor, endColor, lineStyle, colorSpace, bloom) {
+        if (bloom.color) {
+            this.#renderer.renderEdgeToBloom(startPos, endPos, bloom.color, lineStyle, bloom.intensity);
+        } else if (endColor) {
+            this.#renderer.renderEdgeGradientToBloom(
+                startPos, endPos, startColor, endColor, lineStyle, colorSpace, bloom.intensity
+            );
+        } else {
+            this.#renderer.renderEdgeToBloom(startPos, endPos, startColor, lineStyle, bloom.intensity);
+        }
+    }
+
+    /**
+     * Gets how fogged a face is from its depth and, with height fog, its world space height.
+     * @param {ProjectedFace} face - The face.
+     * @returns {number} Fog amount (0 = no fog, 1 = fully fogged).
+     * @private
+     */
+    #getFogAmount(face) {
+        const {mode, near, far, density, heightFalloff, heightBase} = this.#depthFog;
+        let fogAmount;
+
+        if (mode === 'linear')
+            fogAmount = ColorUtils.calculateFogAmount(face.depth, near, far);
+        else
+            fogAmount = ColorUtils.calculateExponentialFogAmount(face.depth, density, mode === 'exp2');
+
+        if (heightFalloff === null || fogAmount === 0)
+            return fogAmount;
+
+        // The view matrix is kept until the camera moves, so only invert it when it changes
+        const viewMatrix = this.#camera.viewMatrix;
+        if (viewMatrix !== this.#fogViewMatrix) {
+            this.#fogViewMatrix = viewMatrix;
+            this.#fogCameraToWorldMatrix = viewMatrix.getInverted();
+        }
+
+        const positions = face.cameraSpacePositions;
+        const center = positions
+            .reduce((sum, p) => sum.getTranslated(p), Vector3.zero())
+            .getScaled(1 / positions.length);
+        const height = this.#fogCameraToWorldMatrix.transformPoint(center).y;
+
+        return fogAmount * ColorUtils.calculateHeightFogFactor(height, heightBase, heightFalloff);
+    }
+
+    /**
+     * Gets the stroke style for an edge of a material, attenuating the width by depth if the material does (up to
+     * MAX_ATTENUATED_LINE_WIDTH, or lineWidth if that's wider).
+     * @param {Material} material - The material.
+     * @param {number} depth - The edge's average camera space depth.
+     * @returns {{width: number, dash: ReadonlyArray<number>, cap: string, join: string}} The stroke style.
+     * @private
+     */
+    static #getLineStyle(material, depth) {
+        const {lineWidth, lineWidthAttenuationDepth} = material;
+        const width = lineWidthAttenuationDepth === null
+            ? lineWidth
+            : Math.min(lineWidth * lineWidthAttenuationDepth / depth, Math.max(lineWidth, MAX_ATTENUATED_LINE_WIDTH));
+
+        return {width, dash: material.lineDash, cap: material.lineCap, join: material.lineJoin};
+    }
+
+    /**
+     * Checks whether a face can be seen through, from its material's opacity or its fill color's alpha.
+     * @param {ProjectedFace} face - The face.
+     * @returns {boolean} True if the face is translucent.
+     * @private
+     */
+    static #isTranslucent(face) {
+        const {opacity, faceOpacity} = face.sceneObject.material;
+        const fillAlpha = face.faceColor ? ColorUtils.hexToRgb(face.faceColor).a : 1;
+
+        return opacity * faceOpacity * fillAlpha < 1;
+    }
+
+    /**
+     * Gets the colors at the ends of a face edge (from screenPositions[i] to [i + 1]): its vertex colors if the mesh
+     * has them, otherwise the material's edge colors. Material gradients run along the mesh edge's direction, so
+     * they don't depend on which of the edge's faces draws it.
+     * @param {{edgeColor: string, gradientEndColor: string|null, vertexColors: string[]|null}} colors - The face's
+     *   colors from #getFaceColors.
+     * @param {number} i - The edge's index in the face.
+     * @param {boolean} isReversed - Whether the edge runs opposite to its mesh edge.
+     * @returns {{startColor: string, endColor: string|null}} The colors (hex strings), with a null endColor if the
+     *   edge is a single color.
+     * @private
+     */
+    static #getEdgeColors(colors, i, isReversed) {
+        const {edgeColor, gradientEndColor, vertexColors} = colors;
+
+        if (vertexColors) {
+            const startColor = vertexColors[i];
+            const endColor = vertexColors[(i + 1) % vertexColors.length];
+            return {startColor, endColor: endColor === startColor ? null : endColor};
+        }
+
+        if (!gradientEndColor)
+            return {startColor: edgeColor, endColor: null};
+
+        return isReversed
+            ? {startColor: gradientEndColor, endColor: edgeColor}
+            : {startColor: edgeColor, endColor: gradientEndColor};
+    }
+
+    // endregion
+
+    // region Pointer Event Methods
+
+    /** @private */
+    #onPointerMove = (event) => {
+        this.#pointerEvent = event;
+    };
+
+    /** @private */
+    #onPointerDown = (event) => {
+        this.#pointerEvent = event;
+        const hit = this.#getFaceUnderPointer(event);
+        this.#pressedObject = hit ? hit.face.sceneObject : null;
+
+        if (hit)
+            this.#dispatchPointerEvent('pointerdown', hit.face.sceneObject, hit.face.faceIndex, hit.position, event);
+    };
+
+    /** @private */
+    #onPointerUp = (event) => {
+        const hit = this.#getFaceUnderPointer(event);
+        const pressedObject = this.#pressedObject;
+        this.#pressedObject = null;
+
+        // Like DOM clicks, the press and release both have to be over the same object
+        if (hit && hit.face.sceneObject === pressedObject)
+            this.#dispatchPointerEvent('click', pressedObject, hit.face.faceIndex, hit.position, event);
+    };
+
+    /** @private */
+    #onPointerLeave = () => {
+        this.#pointerEvent = null;
+        this.#pressedObject = null;
+        this.#updateHoveredObject();
+    };
+
+    /**
+     * Sends pointerleave/pointerenter when the object under the last known pointer position has changed.
+     * @private
+     */
+    #updateHoveredObject() {
+        const event = this.#pointerEvent;
+        const hit = event ? this.#getFaceUnderPointer(event) : null;
+        const hoveredObject = hit ? hit.face.sceneObject : null;
+
+        if (hoveredObject === this.#hoveredObject)
+            return;
+
+        const previousObject = this.#hoveredObject;
+        this.#hoveredObject = hoveredObject;
+
+        if (previousObject) {
+            const position = event ? this.#getCanvasPosition(event) : null;
+            this.#dispatchPointerEvent('pointerleave', previousObject, -1, position, event);
+        }
+
+        if (hoveredObject)
+            this.#dispatchPointerEvent('pointerenter', hoveredObject, hit.face.faceIndex, hit.position, event);
+    }
+
+    /**
+     * Finds the front-most face drawn last frame under a pointer, comparing the depth of each face right at the
+     * pointer (a big face can be closer on average than a small face in front of it).
+     * @returns {{face: ProjectedFace, position: Vector2}|null} The face and the pointer's canvas position.
+     * @private
+     */
+    #getFaceUnderPointer(event) {
+        const position = this.#getCanvasPosition(event);
+        let ray = null;
+        let closestFace = null;
+        let closestDistance = Infinity;
+
+        for (const face of this.#lastFrameFaces) {
+            if (!face.sceneObject || !face.containsPoint(position))
+                continue;
+
+            // The ray through the pointer in camera space, where the faces are
+            if (ray === null) {
+                const worldRay = this.#camera.screenPointToRay(position);
+                const viewMatrix = this.#camera.viewMatrix;
+                ray = new Ray(
+                    viewMatrix.transformPoint(worldRay.origin),
+                    viewMatrix.transformDirection(worldRay.direction)
+                );
+            }
+
+            const distance = Engine.#getFaceHitDistance(face, ray);
+
+            if (distance !== null && distance < closestDistance) {
+                closestFace = face;
+                closestDistance = distance;
+            }
+        }
+
+        return closestFace ? {face: closestFace, position} : null;
+    }
+
+    /**
+     * Gets how far along a camera space ray it hits a face, split into a triangle fan like Scene.raycast does.
+     * When rounding makes the ray just miss the edge of the face, falls back to where it hits the face's plane, so
+     * every distance is measured along the same ray. The view matrix doesn't scale, so these are world distances too.
+     * @returns {number|null} The distance, or null if the ray doesn't reach the face's plane.
+     * @private
+     */
+    static #getFaceHitDistance(face, ray) {
+        const positions = face.cameraSpacePositions;
+        let closestDistance = null;
+
+        for (let i = 1; i < positions.length - 1; i++) {
+            const distance = ray.getTriangleIntersection(positions[0], positions[i], positions[i + 1]);
+
+            if (distance !== null && (closestDistance === null || distance < closestDistance))
+                closestDistance = distance;
         }
+
+        if (closestDistance !== null || positions.length < 3)
+            return closestDistance;
+
+        const normal = positions[1].getDifference(positions[0]).getCross(positions[2].getDifference(positions[0]));
+        const alignment = normal.getDot(ray.direction);
+
+        // The ray runs along the plane (or the face has no area)
+        if (Math.abs(alignment) < 1e-10)
+            return null;
+
+        const distance = normal.getDot(positions[0].getDifference(ray.origin)) / alignment;
+        return distance >= 0 ? distance : null;
+    }
+
+    /**
+     * Converts a pointer's page position to canvas pixels, which differ when the canvas is scaled by CSS.
+     * @private
+     */
+    #getCanvasPosition(event) {
+        const canvas = this.#renderer.canvas;
+        const rect = canvas.getBoundingClientRect();
+
+        return new Vector2(
+            (event.clientX - rect.left) * (canvas.width / rect.width),
+            (event.clientY - rect.top) * (canvas.height / rect.height)
+        );
+    }
+
+    /** @private */
+    #dispatchPointerEvent(type, sceneObject, faceIndex, screenPosition, originalEvent) {
+        sceneObject.dispatchEvent({type, sceneObject, faceIndex, screenPosition, originalEvent});
     }
 
     // endregion
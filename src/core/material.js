@@ -1,5 +1,10 @@
+import {Color} from '../rendering/color.js';
+
+/** Brightest a material's glow can be set to, as a multiple of its color. */
+const MAX_BLOOM_INTENSITY = 4;
+
 /**
- * Defines the visual appearance of a scene object with colors for edges and faces.
+ * Defines the visual appearance of a scene object with colors for edges and faces, and which edges are drawn.
  */
 export class Material {
     // region Fields
@@ -10,6 +15,19 @@ export class Material {
     #edgeColor;
     #edgeGradientColor;
     #faceColor;
+    #gradientColorSpace = 'rgb';
+    #isSilhouetteEdges = false;
+    #creaseAngle = null;
+    #shadingMode = 'none';
+    #opacity = 1;
+    #edgeOpacity = 1;
+    #faceOpacity = 1;
+    #lineWidth = 1;
+    #lineDash = Object.freeze([]);
+    #lineCap = 'butt';
+    #lineJoin = 'miter';
+    #lineWidthAttenuationDepth = null;
+    #bloom = {enabled: null, color: null, intensity: 1};
 
     // endregion
 
@@ -17,12 +35,18 @@ export class Material {
 
     /**
      * Creates a new Material.
-     * @param {string|null} edgeColor - Primary edge color (hex string, e.g., '#ff00ff').
-     * @param {string|null} edgeGradientColor - End color for gradient edges (hex string).
-     * @param {string|null} faceColor - Fill color for the associated mesh's faces (hex string). Only visible with
-     *     depth sorting.
+     * @param {string|null} edgeColor - Primary edge color (hex string or CSS color, e.g., '#ff00ff' or 'magenta').
+     * @param {string|null} edgeGradientColor - End color for gradient edges (hex string or CSS color).
+     * @param {string|null} faceColor - Fill color for the associated mesh's faces (hex string or CSS color). Only
+     *     visible with depth sorting.
+     * @throws {Error} If a color isn't supported (see Color.parse).
      */
     constructor(edgeColor = null, edgeGradientColor = null, faceColor = null) {
+        for (const color of [edgeColor, edgeGradientColor, faceColor]) {
+            if (color !== null)
+                Color.validate(color);
+        }
+
         // Store original colors for reset functionality (immutable)
         this.#originalEdgeColor = edgeColor;
         this.#originalEdgeGradientColor = edgeGradientColor;
@@ -56,7 +80,7 @@ export class Material {
 
     /**
      * Gets the original color from construction.
-     * @returns {string|null} The original color (hex string) or null.
+     * @returns {string|null} The original color (hex string or CSS color) or null.
      */
     get originalEdgeColor() {
         return this.#originalEdgeColor;
@@ -64,7 +88,7 @@ export class Material {
 
     /**
      * Gets the original gradient color from construction.
-     * @returns {string|null} The original gradient color (hex string) or null.
+     * @returns {string|null} The original gradient color (hex string or CSS color) or null.
      */
     get originalEdgeGradientColor() {
         return this.#originalEdgeGradientColor;
@@ -72,7 +96,7 @@ export class Material {
 
     /**
      * Gets the original face color from construction.
-     * @returns {string|null} The original face color (hex string) or null.
+     * @returns {string|null} The original face color (hex string or CSS color) or null.
      */
     get originalFaceColor() {
         return this.#originalFaceColor;
@@ -80,7 +104,7 @@ export class Material {
 
     /**
      * Gets the primary edge color.
-     * @returns {string|null} The edge color (hex string) or null.
+     * @returns {string|null} The edge color (hex string or CSS color) or null.
      */
     get edgeColor() {
         return this.#edgeColor;
@@ -88,7 +112,7 @@ export class Material {
 
     /**
      * Gets the gradient end color for edges.
-     * @returns {string|null} The gradient end color (hex string) or null.
+     * @returns {string|null} The gradient end color (hex string or CSS color) or null.
      */
     get edgeGradientColor() {
         return this.#edgeGradientColor;
@@ -96,40 +120,326 @@ export class Material {
 
     /**
      * Gets the face fill color.
-     * @returns {string|null} The face fill color (hex string) or null.
+     * @returns {string|null} The face fill color (hex string or CSS color) or null.
      */
     get faceColor() {
         return this.#faceColor;
     }
 
+    /**
+     * Gets whether silhouette edges are drawn when filtering edges.
+     * @returns {boolean} True if silhouette edges are drawn.
+     */
+    get isSilhouetteEdges() {
+        return this.#isSilhouetteEdges;
+    }
+
+    /**
+     * Gets the angle in degrees two faces must meet at for their shared edge to be drawn as a crease.
+     * @returns {number|null} The crease angle, or null if creases aren't drawn.
+     */
+    get creaseAngle() {
+        return this.#creaseAngle;
+    }
+
+    /**
+     * Gets how the face color is shaded by the scene's lights.
+     * @returns {'none'|'lambert'} The shading mode.
+     */
+    get shadingMode() {
+        return this.#shadingMode;
+    }
+
+    /**
+     * Gets the opacity of the whole material.
+     * @returns {number} The opacity (0 = invisible, 1 = opaque).
+     */
+    get opacity() {
+        return this.#opacity;
+    }
+
+    /**
+     * Gets the opacity of edges, on top of the material's opacity.
+     * @returns {number} The edge opacity (0 = invisible, 1 = opaque).
+     */
+    get edgeOpacity() {
+        return this.#edgeOpacity;
+    }
+
+    /**
+     * Gets the opacity of faces, on top of the material's opacity.
+     * @returns {number} The face opacity (0 = invisible, 1 = opaque).
+     */
+    get faceOpacity() {
+        return this.#faceOpacity;
+    }
+
+    /**
+     * Gets the edge width.
+     * @returns {number} The width in pixels.
+     */
+    get lineWidth() {
+        return this.#lineWidth;
+    }
+
+    /**
+     * Gets the edge dash pattern.
+     * @returns {ReadonlyArray<number>} Alternating dash and gap lengths in pixels (empty for solid edges).
+     */
+    get lineDash() {
+        return this.#lineDash;
+    }
+
+    /**
+     * Gets how the ends of edges are drawn.
+     * @returns {'butt'|'round'|'square'} The line cap.
+     */
+    get lineCap() {
+        return this.#lineCap;
+    }
+
+    /**
+     * Gets how edges are joined where they meet.
+     * @returns {'miter'|'round'|'bevel'} The line join.
+     */
+    get lineJoin() {
+        return this.#lineJoin;
+    }
+
+    /**
+     * Gets the depth at which edges are exactly lineWidth wide when their width is attenuated by depth.
+     * @returns {number|null} The depth, or null if edges are the same width at every depth.
+     */
+    get lineWidthAttenuationDepth() {
+        return this.#lineWidthAttenuationDepth;
+    }
+
+    /**
+     * Gets the color space edge gradients (including per-vertex colors) are interpolated in.
+     * @returns {string} 'rgb', 'hsl', or 'oklab'.
+     */
+    get gradientColorSpace() {
+        return this.#gradientColorSpace;
+    }
+
+    /**
+     * Gets the material's bloom settings.
+     * @returns {{enabled: boolean|null, color: string|null, intensity: number}} Bloom settings.
+     */
+    get bloom() {
+        return {...this.#bloom};
+    }
+
     // endregion
 
     // region Setter Properties
 
     /**
      * Sets the primary edge color.
-     * @param {string|null} value - The edge color (hex string) or null.
+     * @param {string|null} value - The edge color (hex string or CSS color) or null.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set edgeColor(value) {
+        if (value !== null)
+            Color.validate(value);
+
         this.#edgeColor = value;
     }
 
     /**
      * Sets the gradient end color for edges.
-     * @param {string|null} value - The gradient end color (hex string) or null.
+     * @param {string|null} value - The gradient end color (hex string or CSS color) or null.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set edgeGradientColor(value) {
+        if (value !== null)
+            Color.validate(value);
+
         this.#edgeGradientColor = value;
     }
 
     /**
      * Sets the face fill color.
-     * @param {string|null} value - The face fill color (hex string) or null.
+     * @param {string|null} value - The face fill color (hex string or CSS color) or null.
+     * @throws {Error} If the color isn't supported (see Color.parse).
      */
     set faceColor(value) {
+        if (value !== null)
+            Color.validate(value);
+
         this.#faceColor = value;
     }
 
+    /**
+     * Toggles drawing only silhouette edges: edges between a face pointing toward the camera and one pointing away
+     * (off by default). Combined with creaseAngle, edges matching either are drawn. Boundary edges of open meshes
+     * are always drawn.
+     * @param {boolean} enabled - Sets state directly.
+     */
+    set isSilhouetteEdges(enabled) {
+        this.#isSilhouetteEdges = enabled;
+    }
+
+    /**
+     * Sets the crease angle to draw only edges whose faces meet at more than this angle, e.g. to hide the edges
+     * between the triangles of a smooth sphere (null by default). Combined with isSilhouetteEdges, edges matching
+     * either are drawn. Boundary edges of open meshes are always drawn.
+     * Angles are measured on the scaled object, so a non-uniform scale that flattens or sharpens a fold counts.
+     * @param {number|null} degrees - The angle between face normals (0 is flat), or null to not filter by angle.
+     */
+    set creaseAngle(degrees) {
+        this.#creaseAngle = degrees;
+    }
+
+    /**
+     * Sets how the face color is shaded by the scene's lights ('none' by default).
+     * - 'none': faces are filled with the face color as is, ignoring lights.
+     * - 'lambert': flat shading, each face's color is scaled by how much light reaches it (black without lights).
+     * @param {'none'|'lambert'} mode - The shading mode.
+     * @throws {Error} If the mode is not supported.
+     */
+    set shadingMode(mode) {
+        if (mode !== 'none' && mode !== 'lambert')
+            throw new Error(`Unsupported shading mode: ${mode}`);
+
+        this.#shadingMode = mode;
+    }
+
+    /**
+     * Sets the opacity of the whole material (1 by default). Multiplies edgeOpacity and faceOpacity.
+     * Faces that aren't fully opaque are drawn after opaque ones when depth sorting by average depth.
+     * @param {number} value - The opacity from 0 (invisible) to 1 (opaque).
+     * @throws {Error} If the opacity isn't a number from 0 to 1.
+     */
+    set opacity(value) {
+        if (!Number.isFinite(value) || value < 0 || value > 1)
+            throw new Error(`Unsupported opacity: ${value}`);
+
+        this.#opacity = value;
+    }
+
+    /**
+     * Sets the opacity of edges (1 by default).
+     * @param {number} value - The opacity from 0 (invisible) to 1 (opaque).
+     * @throws {Error} If the opacity isn't a number from 0 to 1.
+     */
+    set edgeOpacity(value) {
+        if (!Number.isFinite(value) || value < 0 || value > 1)
+            throw new Error(`Unsupported edge opacity: ${value}`);
+
+        this.#edgeOpacity = value;
+    }
+
+    /**
+     * Sets the opacity of faces (1 by default), e.g. for glass-like objects. Also applies to the fill that hides
+     * what's behind faces without a face color.
+     * @param {number} value - The opacity from 0 (invisible) to 1 (opaque).
+     * @throws {Error} If the opacity isn't a number from 0 to 1.
+     */
+    set faceOpacity(value) {
+        if (!Number.isFinite(value) || value < 0 || value > 1)
+            throw new Error(`Unsupported face opacity: ${value}`);
+
+        this.#faceOpacity = value;
+    }
+
+    /**
+     * Sets the edge width (1 by default).
+     * @param {number} width - The width in pixels.
+     * @throws {Error} If the width isn't a positive number.
+     */
+    set lineWidth(width) {
+        if (!Number.isFinite(width) || width <= 0)
+            throw new Error(`Unsupported line width: ${width}`);
+
+        this.#lineWidth = width;
+    }
+
+    /**
+     * Sets the edge dash pattern (solid by default). The pattern starts over at the start of every edge.
+     * @param {number[]} dash - Alternating dash and gap lengths in pixels (e.g. [8, 4]), or [] for solid edges.
+     * @throws {Error} If a length is negative or not a number.
+     */
+    set lineDash(dash) {
+        if (!Array.isArray(dash) || dash.some(length => !Number.isFinite(length) || length < 0))
+            throw new Error(`Unsupported line dash: ${dash}`);
+
+        this.#lineDash = Object.freeze([...dash]);
+    }
+
+    /**
+     * Sets how the ends of edges are drawn ('butt' by default), like CanvasRenderingContext2D.lineCap.
+     * @param {'butt'|'round'|'square'} cap - The line cap.
+     * @throws {Error} If the line cap is not supported.
+     */
+    set lineCap(cap) {
+        if (cap !== 'butt' && cap !== 'round' && cap !== 'square')
+            throw new Error(`Unsupported line cap: ${cap}`);
+
+        this.#lineCap = cap;
+    }
+
+    /**
+     * Sets how edges are joined where they meet ('miter' by default), like CanvasRenderingContext2D.lineJoin.
+     * @param {'miter'|'round'|'bevel'} join - The line join.
+     * @throws {Error} If the line join is not supported.
+     */
+    set lineJoin(join) {
+        if (join !== 'miter' && join !== 'round' && join !== 'bevel')
+            throw new Error(`Unsupported line join: ${join}`);
+
+        this.#lineJoin = join;
+    }
+
+    /**
+     * Sets the depth at which edges are exactly lineWidth wide, making closer edges thicker and farther edges
+     * thinner (width × attenuationDepth / depth), or null to draw every edge lineWidth wide (the default).
+     * Edges close to the camera are drawn at most 64 pixels wide (or lineWidth if that's wider).
+     * @param {number|null} depth - The camera space depth, or null to not attenuate.
+     * @throws {Error} If the depth isn't null or a positive number.
+     */
+    set lineWidthAttenuationDepth(depth) {
+        if (depth !== null && (!Number.isFinite(depth) || depth <= 0))
+            throw new Error(`Unsupported line width attenuation depth: ${depth}`);
+
+        this.#lineWidthAttenuationDepth = depth;
+    }
+
+    /**
+     * Sets the color space edge gradients (including per-vertex colors) are interpolated in. 'rgb' (the default)
+     * blends the components directly, 'hsl' goes around the hue wheel, and 'oklab' blends perceptually.
+     * @param {string} space - 'rgb', 'hsl', or 'oklab'.
+     * @throws {Error} If the color space isn't supported.
+     */
+    set gradientColorSpace(space) {
+        Color.validateColorSpace(space);
+        this.#gradientColorSpace = space;
+    }
+
+    /**
+     * Configures whether and how edges with this material glow, overriding the engine's global bloom settings.
+     * The engine's blur radius and passes are shared by every glowing material.
+     * @param {{enabled?: boolean|null, color?: string|null, intensity?: number}} options - Bloom settings.
+     *   - enabled: Whether the edges glow, or null to follow the global bloom setting (default null)
+     *   - color: Glow color, or null to use the global bloom color or else the edge colors (default null)
+     *   - intensity: Glow brightness, below 1 to dim it or above 1 to brighten it, up to 4 (default 1)
+     * @throws {Error} If the color isn't supported (see Color.parse) or the intensity is negative or not a number.
+     */
+    set bloom(options) {
+        if (options.color != null)
+            Color.validate(options.color);
+
+        const {intensity} = options;
+
+        if (intensity !== undefined && (!Number.isFinite(intensity) || intensity < 0))
+            throw new Error(`Unsupported bloom intensity: ${intensity}`);
+
+        this.#bloom = {...this.#bloom, ...options};
+
+        if (intensity !== undefined)
+            this.#bloom.intensity = Math.min(intensity, MAX_BLOOM_INTENSITY);
+    }
+
     // endregion
 
     // region Reset Methods
@@ -1,20 +1,35 @@
+import {Vector3} from '../math/vector3.js';
+import {Color} from '../rendering/color.js';
+
 /**
  * Represents a 3D mesh with vertices and face index definitions.
  */
 export class Mesh {
     #vertices;
     #faceIndices;
+    #faceColors = null;
+    #vertexColors = null;
+    #boundingBox = null;
+    #boundingSphere = null;
+    #edges = null;
+    #faceEdgeIndices = null;
+    #faceNormals = null;
+    #edgeAngles = null;
 
     /**
      * Creates a new Mesh.
      * @param {Vector3[]} vertices - Array of vertex positions.
      * @param {number[][]} faceIndices - Array of faces, each face is an array of vertex indices.
+     * @param {(string|null)[]|null} faceColors - Optional fill color of each face (see faceColors).
+     * @param {string[]|null} vertexColors - Optional color of each vertex (see vertexColors).
      */
-    constructor(vertices, faceIndices) {
+    constructor(vertices, faceIndices, faceColors = null, vertexColors = null) {
         /** @type {Vector3[]} */
         this.#vertices = vertices;
         /** @type {number[][]} */
         this.#faceIndices = faceIndices;
+        this.faceColors = faceColors;
+        this.vertexColors = vertexColors;
     }
 
     /**
@@ -32,4 +47,229 @@ export class Mesh {
     get faceIndices() {
         return this.#faceIndices;
     }
+
+    /**
+     * Gets the fill color of each face.
+     * @returns {(string|null)[]|null} Colors parallel to faceIndices (hex strings), or null if the mesh has none.
+     */
+    get faceColors() {
+        return this.#faceColors;
+    }
+
+    /**
+     * Sets the fill color of each face, used instead of the material's face color (e.g. for heatmaps).
+     * @param {(string|null)[]|null} colors - Colors parallel to faceIndices (hex strings, null entries use the
+     *   material's face color), or null to use the material's face color everywhere.
+     * @throws {Error} If there isn't one color per face, or a color isn't supported (see Color.parse).
+     */
+    set faceColors(colors) {
+        if (colors !== null && colors.length !== this.#faceIndices.length)
+            throw new Error(`Expected ${this.#faceIndices.length} face colors but got ${colors.length}`);
+
+        for (const color of colors ?? []) {
+            if (color !== null)
+                Color.validate(color);
+        }
+
+        this.#faceColors = colors;
+    }
+
+    /**
+     * Gets the color of each vertex.
+     * @returns {string[]|null} Colors parallel to vertices (hex strings), or null if the mesh has none.
+     */
+    get vertexColors() {
+        return this.#vertexColors;
+    }
+
+    /**
+     * Sets the color of each vertex. Edges are drawn as gradients between the colors of their two vertices,
+     * instead of with the material's edge colors.
+     * @param {string[]|null} colors - Colors parallel to vertices (hex strings), or null to use the material's
+     *   edge colors.
+     * @throws {Error} If there isn't one color per vertex, or a color isn't supported (see Color.parse).
+     */
+    set vertexColors(colors) {
+        if (colors !== null && colors.length !== this.#vertices.length)
+            throw new Error(`Expected ${this.#vertices.length} vertex colors but got ${colors.length}`);
+
+        colors?.forEach(color => Color.validate(color));
+
+        this.#vertexColors = colors;
+    }
+
+    /**
+     * Gets every unique edge of the mesh (computed once and cached). An edge shared by several faces is listed once.
+     * Each edge keeps the direction of the first face that uses it.
+     * @returns {{vertexIndices: number[], faceIndices: number[]}[]} The edges, each with its two vertex indices
+     *   and the indices of the faces it belongs to.
+     */
+    get edges() {
+        if (this.#edges === null)
+            this.#buildEdges();
+
+        return this.#edges;
+    }
+
+    /**
+     * Gets which edge each face edge is (computed once and cached).
+     * faceEdgeIndices[f][i] is the index in edges of the edge from faceIndices[f][i] to the face's next vertex.
+     * @returns {number[][]} Edge indices per face, parallel to faceIndices.
+     */
+    get faceEdgeIndices() {
+        if (this.#faceEdgeIndices === null)
+            this.#buildEdges();
+
+        return this.#faceEdgeIndices;
+    }
+
+    /**
+     * Gets the unit normal of each face in local space (computed once and cached).
+     * Uses Newell's method, so faces with a few collinear vertices still get the right normal.
+     * @returns {(Vector3|null)[]} Normals parallel to faceIndices, null for faces without an area.
+     */
+    get faceNormals() {
+        if (this.#faceNormals === null)
+            this.#faceNormals = this.#getFaceNormals(this.#vertices);
+
+        return this.#faceNormals;
+    }
+
+    /**
+     * Gets how sharply the two faces of each edge meet in local space (computed once and cached): the angle
+     * between their normals in degrees, 0 where they're flat and near 180 where they fold back onto each other.
+     * Non-uniform scale changes these angles, so use getEdgeAngles with transformed vertices in that case.
+     * @returns {(number|null)[]} Angles parallel to edges, null for edges without exactly two faces (e.g. on the
+     *   boundary of an open mesh) or next to a face without an area.
+     */
+    get edgeAngles() {
+        if (this.#edgeAngles === null)
+            this.#edgeAngles = this.getEdgeAngles(this.#vertices);
+
+        return this.#edgeAngles;
+    }
+
+    /**
+     * Gets the axis-aligned bounding box of the vertices in local space (computed once and cached).
+     * @returns {{min: Vector3, max: Vector3}} The minimum and maximum corners.
+     */
+    get boundingBox() {
+        if (this.#boundingBox === null) {
+            let minX = Infinity, minY = Infinity, minZ = Infinity;
+            let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+            for (const v of this.#vertices) {
+                minX = Math.min(minX, v.x);
+                minY = Math.min(minY, v.y);
+                minZ = Math.min(minZ, v.z);
+                maxX = Math.max(maxX, v.x);
+                maxY = Math.max(maxY, v.y);
+                maxZ = Math.max(maxZ, v.z);
+            }
+
+            // An empty mesh gets an empty box at the origin
+            if (this.#vertices.length === 0)
+                minX = minY = minZ = maxX = maxY = maxZ = 0;
+
+            this.#boundingBox = {
+                min: new Vector3(minX, minY, minZ),
+                max: new Vector3(maxX, maxY, maxZ)
+            };
+        }
+
+        return this.#boundingBox;
+    }
+
+    /**
+     * Gets a sphere in local space that contains every vertex (computed once and cached).
+     * The center is the middle of the bounding box.
+     * @returns {{center: Vector3, radius: number}} The bounding sphere.
+     */
+    get boundingSphere() {
+        if (this.#boundingSphere === null) {
+            const {min, max} = this.boundingBox;
+            const center = min.getTranslated(max).getScaled(0.5);
+
+            let radius = 0;
+            for (const v of this.#vertices)
+                radius = Math.max(radius, v.getDifference(center).getMagnitude());
+
+            this.#boundingSphere = {center, radius};
+        }
+
+        return this.#boundingSphere;
+    }
+
+    /**
+     * Gets how sharply the two faces of each edge meet with the vertices at other positions, e.g. transformed by a
+     * non-uniform scale (see edgeAngles).
+     * @param {Vector3[]} vertices - The positions, parallel to vertices.
+     * @returns {(number|null)[]} Angles in degrees parallel to edges, null where edgeAngles has null.
+     */
+    getEdgeAngles(vertices) {
+        const normals = vertices === this.#vertices ? this.faceNormals : this.#getFaceNormals(vertices);
+
+        return this.edges.map(({faceIndices}) => {
+            if (faceIndices.length !== 2)
+                return null;
+
+            const a = normals[faceIndices[0]];
+            const b = normals[faceIndices[1]];
+
+            if (a === null || b === null)
+                return null;
+
+            // Clamp rounding errors that would put the dot product outside acos's domain
+            return Math.acos(Math.min(1, Math.max(-1, a.getDot(b)))) * 180 / Math.PI;
+        });
+    }
+
+    /**
+     * Gets the unit normal of each face with Newell's method.
+     * @param {Vector3[]} vertices - The positions, parallel to vertices.
+     * @returns {(Vector3|null)[]} Normals parallel to faceIndices, null for faces without an area.
+     * @private
+     */
+    #getFaceNormals(vertices) {
+        return this.#faceIndices.map(face => {
+            let x = 0, y = 0, z = 0;
+
+            for (let i = 0; i < face.length; i++) {
+                const current = vertices[face[i]];
+                const next = vertices[face[(i + 1) % face.length]];
+
+                x += (current.y - next.y) * (current.z + next.z);
+                y += (current.z - next.z) * (current.x + next.x);
+                z += (current.x - next.x) * (current.y + next.y);
+            }
+
+            const length = Math.hypot(x, y, z);
+            return length === 0 ? null : new Vector3(x / length, y / length, z / length);
+        });
+    }
+
+    /** @private */
+    #buildEdges() {
+        const edges = [];
+        const edgeIndexByKey = new Map();
+
+        this.#faceEdgeIndices = this.#faceIndices.map((face, faceIndex) => face.map((startIndex, i) => {
+            const endIndex = face[(i + 1) % face.length];
+
+            // Same key for both directions so neighboring faces (which run shared edges opposite ways) match
+            const key = startIndex < endIndex ? `${startIndex},${endIndex}` : `${endIndex},${startIndex}`;
+            let edgeIndex = edgeIndexByKey.get(key);
+
+            if (edgeIndex === undefined) {
+                edgeIndex = edges.length;
+                edgeIndexByKey.set(key, edgeIndex);
+                edges.push({vertexIndices: [startIndex, endIndex], faceIndices: []});
+            }
+
+            edges[edgeIndex].faceIndices.push(faceIndex);
+            return edgeIndex;
+        }));
+
+        this.#edges = edges;
+    }
 }
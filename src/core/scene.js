@@ -1,8 +1,10 @@
 /**
- * A container for scene objects in a 3D scene.
+ * A container for scene objects and lights in a 3D scene.
+ * Children of added scene objects are part of the scene through their parent and don't need to be added.
  */
 export class Scene {
     #sceneObjects = [];
+    #lights = [];
     #nextId = 1;
     #idToObject = new Map();
     #objectToId = new Map();
@@ -15,6 +17,14 @@ export class Scene {
         return [...this.#sceneObjects];
     }
 
+    /**
+     * Gets all lights in the scene.
+     * @returns {Light[]} Array of lights.
+     */
+    get lights() {
+        return [...this.#lights];
+    }
+
     /**
      * Adds a scene object to the scene.
      * @param {SceneObject} sceneObject - The object to add.
@@ -50,6 +60,99 @@ export class Scene {
         }
     }
 
+    /**
+     * Adds a light to the scene. Lights only affect scene objects whose material uses a lit shading mode.
+     * @param {Light} light - The light to add.
+     * @throws {Error} If the light is already in the scene.
+     */
+    addLight(light) {
+        if (this.#lights.includes(light)) {
+            throw new Error('Light is already in the scene');
+        }
+
+        this.#lights.push(light);
+    }
+
+    /**
+     * Removes a light from the scene.
+     * @param {Light} light - The light to remove.
+     */
+    removeLight(light) {
+        const idx = this.#lights.indexOf(light);
+
+        if (idx !== -1)
+            this.#lights.splice(idx, 1);
+    }
+
+    /**
+     * Visits every scene object in the scene, including children, parents before their children.
+     * Each scene object is visited once even if it was also added to the scene directly.
+     * @param {function(SceneObject): void} callback - Called with each scene object.
+     */
+    traverse(callback) {
+        const visited = new Set();
+        const stack = [...this.#sceneObjects].reverse();
+
+        while (stack.length > 0) {
+            const sceneObject = stack.pop();
+
+            if (visited.has(sceneObject))
+                continue;
+
+            visited.add(sceneObject);
+            callback(sceneObject);
+
+            const children = sceneObject.children;
+            for (let i = children.length - 1; i >= 0; i--)
+                stack.push(children[i]);
+        }
+    }
+
+    /**
+     * Finds the closest mesh face hit by a ray, e.g. one from Camera.screenPointToRay for mouse picking.
+     * Faces are hit from either side, and children are included.
+     * @param {Ray} ray - The world space ray.
+     * @returns {{sceneObject: SceneObject, faceIndex: number, distance: number, point: Vector3}|null}
+     *   The closest hit, with the face's index in mesh.faceIndices, the distance along the ray, and the world
+     *   space hit point, or null if nothing was hit.
+     */
+    raycast(ray) {
+        let closestHit = null;
+
+        this.traverse(sceneObject => {
+            const worldMatrix = sceneObject.transform.worldMatrix;
+            const {center, radius} = sceneObject.mesh.boundingSphere;
+
+            // Skip testing every face of objects the ray can't touch
+            if (!ray.isIntersectingSphere(worldMatrix.transformPoint(center), radius * worldMatrix.getMaxScale()))
+                return;
+
+            const vertices = sceneObject.getTransformedVertices();
+            const faces = sceneObject.mesh.faceIndices;
+
+            for (let faceIndex = 0; faceIndex < faces.length; faceIndex++) {
+                const face = faces[faceIndex];
+
+                // Split the face into a triangle fan around its first vertex
+                for (let i = 1; i < face.length - 1; i++) {
+                    const distance = ray.getTriangleIntersection(
+                        vertices[face[0]],
+                        vertices[face[i]],
+                        vertices[face[i + 1]]
+                    );
+
+                    if (distance !== null && (closestHit === null || distance < closestHit.distance))
+                        closestHit = {sceneObject, faceIndex, distance};
+                }
+            }
+        });
+
+        if (closestHit === null)
+            return null;
+
+        return {...closestHit, point: ray.getPoint(closestHit.distance)};
+    }
+
     /**
      * Gets a scene object by its unique ID.
      * @param {number} id - The unique ID of the scene object.
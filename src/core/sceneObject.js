@@ -1,12 +1,19 @@
 import {Material} from './material.js';
+import {Vector3} from '../math/vector3.js';
+
+const POINTER_EVENT_TYPES = ['pointerenter', 'pointerleave', 'pointerdown', 'click'];
 
 /**
  * An object with a position, rotation, scale, and mesh in the scene.
+ * Scene objects can be nested: a child's transform is relative to its parent's transform.
  */
 export class SceneObject {
     #mesh;
     #transform;
     #material;
+    #parent = null;
+    #children = [];
+    #eventHandlers = new Map();
 
     /**
      * Creates a new SceneObject.
@@ -46,6 +53,22 @@ export class SceneObject {
         return this.#material;
     }
 
+    /**
+     * Gets the parent scene object.
+     * @returns {SceneObject|null} The parent, or null if this is a root object.
+     */
+    get parent() {
+        return this.#parent;
+    }
+
+    /**
+     * Gets the direct children of this scene object.
+     * @returns {SceneObject[]} Array of child scene objects.
+     */
+    get children() {
+        return [...this.#children];
+    }
+
     /**
      * Sets the material.
      * @param {Material} value - The new material.
@@ -54,18 +77,111 @@ export class SceneObject {
         this.#material = value;
     }
 
+    /**
+     * Adds a child scene object. The child's transform keeps its local values, which are now relative to this
+     * object. If the child already has a parent it is removed from that parent first.
+     * @param {SceneObject} child - The scene object to attach.
+     * @throws {Error} If the child is this object or one of its ancestors.
+     */
+    addChild(child) {
+        for (let ancestor = this; ancestor; ancestor = ancestor.#parent) {
+            if (ancestor === child)
+                throw new Error('Scene object cannot be a child of itself or one of its descendants');
+        }
+
+        if (child.#parent)
+            child.#parent.removeChild(child);
+
+        child.#parent = this;
+        child.#transform.parent = this.#transform;
+        this.#children.push(child);
+    }
+
+    /**
+     * Removes a child scene object. The child's transform becomes relative to world space again.
+     * @param {SceneObject} child - The child to detach.
+     */
+    removeChild(child) {
+        const idx = this.#children.indexOf(child);
+
+        if (idx === -1)
+            return;
+
+        this.#children.splice(idx, 1);
+        child.#parent = null;
+        child.#transform.parent = null;
+    }
+
+    /**
+     * Rotates this scene object so its forward (+Z) axis points at a world space position.
+     * @param {Vector3} target - The world space position to face.
+     * @param {Vector3} [up] - The world up direction (default Vector3.up()).
+     */
+    lookAt(target, up = Vector3.up()) {
+        this.#transform.lookAt(target, up);
+    }
+
+    /**
+     * Adds a handler for pointer events on this object's rendered faces. Events are dispatched by the Engine
+     * rendering the object, for the front-most object under the pointer.
+     * - pointerenter / pointerleave: the pointer moved onto or off of the object (also when the object moves)
+     * - pointerdown: a pointer was pressed over the object
+     * - click: a pointer was pressed and released over the object
+     * @param {'pointerenter'|'pointerleave'|'pointerdown'|'click'} type - The event type.
+     * @param {function({type: string, sceneObject: SceneObject, faceIndex: number, screenPosition: Vector2|null,
+     *   originalEvent: PointerEvent|null}): void} handler - Called with the event. screenPosition is in canvas
+     *   pixels. For pointerleave faceIndex is -1, and screenPosition/originalEvent are null if the pointer left
+     *   the canvas.
+     * @throws {Error} If the event type is not supported.
+     */
+    on(type, handler) {
+        if (!POINTER_EVENT_TYPES.includes(type))
+            throw new Error(`Unsupported scene object event type: ${type}`);
+
+        if (!this.#eventHandlers.has(type))
+            this.#eventHandlers.set(type, []);
+
+        this.#eventHandlers.get(type).push(handler);
+    }
+
+    /**
+     * Removes a handler added with on().
+     * @param {string} type - The event type.
+     * @param {Function} handler - The handler to remove.
+     */
+    off(type, handler) {
+        const handlers = this.#eventHandlers.get(type);
+
+        if (!handlers)
+            return;
+
+        const idx = handlers.indexOf(handler);
+        if (idx !== -1)
+            handlers.splice(idx, 1);
+    }
+
+    /**
+     * Calls the handlers registered for an event's type. Used by the Engine to deliver pointer events.
+     * @param {{type: string}} event - The event to deliver.
+     */
+    dispatchEvent(event) {
+        const handlers = this.#eventHandlers.get(event.type);
+
+        if (!handlers)
+            return;
+
+        // Copy so handlers can remove themselves while being called
+        for (const handler of [...handlers])
+            handler(event);
+    }
+
     /**
      * Gets all vertices transformed to scene's world space.
-     * Applies transformations in order: scale → rotate (X, Y, Z) → translate.
+     * Applies transformations in order: scale → rotate (X, Y, Z) → translate, then the same for each parent.
      * @returns {Vector3[]} Array of transformed vertex positions.
      */
     getTransformedVertices() {
-        return this.#mesh.vertices.map(v =>
-            v.getScaledByVector(this.#transform.scale)
-                .getRotatedX(this.#transform.rotation.x)
-                .getRotatedY(this.#transform.rotation.y)
-                .getRotatedZ(this.#transform.rotation.z)
-                .getTranslated(this.#transform.position)
-        );
+        const worldMatrix = this.#transform.worldMatrix;
+        return this.#mesh.vertices.map(v => worldMatrix.transformPoint(v));
     }
 }
@@ -6,6 +6,9 @@
 // Core math
 export {Vector2} from './math/vector2.js';
 export {Vector3} from './math/vector3.js';
+export {Matrix4} from './math/matrix4.js';
+export {Quaternion} from './math/quaternion.js';
+export {Ray} from './math/ray.js';
 export {Transform} from './math/transform.js';
 
 // Scene components
@@ -14,15 +17,41 @@ export {Scene} from './core/scene.js';
 export {SceneObject} from './core/sceneObject.js';
 export {Material} from './core/material.js';
 
+// Lighting
+export {Light} from './lighting/light.js';
+export {AmbientLight} from './lighting/ambient-light.js';
+export {DirectionalLight} from './lighting/directional-light.js';
+export {PointLight} from './lighting/point-light.js';
+
 // Rendering
 export {Camera} from './rendering/camera.js';
 export {ProjectedFace} from './rendering/projected-face.js';
+export {PolygonClipper} from './rendering/polygon-clipper.js';
+export {DepthBufferRasterizer} from './rendering/depth-buffer-rasterizer.js';
+export {BspTree} from './rendering/bsp-tree.js';
+export {HiddenLineRemover} from './rendering/hidden-line-remover.js';
+export {RenderBackend} from './rendering/render-backend.js';
 export {Renderer} from './rendering/renderer.js';
+export {SvgRenderer} from './rendering/svg-renderer.js';
+export {Color} from './rendering/color.js';
 export {ColorUtils} from './rendering/color-utils.js';
 
+// Post-processing
+export {PostProcessPass} from './post-processing/post-process-pass.js';
+export {BloomPass} from './post-processing/bloom-pass.js';
+export {ScanlinesPass} from './post-processing/scanlines-pass.js';
+export {VignettePass} from './post-processing/vignette-pass.js';
+export {ChromaticAberrationPass} from './post-processing/chromatic-aberration-pass.js';
+export {FilmGrainPass} from './post-processing/film-grain-pass.js';
+export {PixelationPass} from './post-processing/pixelation-pass.js';
+
 // Engine
 export {Engine} from './core/engine.js';
 
+// Camera controls
+export {OrbitControls} from './controls/orbit-controls.js';
+export {FlyControls} from './controls/fly-controls.js';
+
 // OBJ loading
 export {WavefrontMeshConverter} from './wavefront-loading/wavefront-mesh-converter.js';
 export {WavefrontFileLoader} from './wavefront-loading/wavefront-file-loader.js';
@@ -0,0 +1,16 @@
+import {Light} from './light.js';
+
+/**
+ * Lights every face evenly regardless of its orientation, so faces turned away from other lights aren't black.
+ */
+export class AmbientLight extends Light {
+    /**
+     * Gets the ambient brightness, which is the same everywhere.
+     * @param {Vector3} position - The world space point on the surface (unused).
+     * @param {Vector3} normal - The surface's world space unit normal (unused).
+     * @returns {number} The intensity.
+     */
+    getIrradiance(position, normal) {
+        return this.intensity;
+    }
+}
@@ -0,0 +1,62 @@
+import {Vector3} from '../math/vector3.js';
+import {Light} from './light.js';
+
+/**
+ * Light arriving from one direction everywhere, like sunlight. Faces are lit by how directly they face it.
+ */
+export class DirectionalLight extends Light {
+    // region Fields
+
+    #direction;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new DirectionalLight.
+     * @param {Vector3} direction - The world space direction the light travels (normalized automatically).
+     * @param {string} color - The light color (hex string, e.g., '#ffffff').
+     * @param {number} intensity - Brightness multiplier.
+     */
+    constructor(direction = new Vector3(0, -1, 1), color = '#ffffff', intensity = 1) {
+        super(color, intensity);
+        this.direction = direction;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the direction the light travels.
+     * @returns {Vector3} The world space unit direction.
+     */
+    get direction() {
+        return this.#direction;
+    }
+
+    /**
+     * Sets the direction the light travels.
+     * @param {Vector3} value - The world space direction (normalized automatically).
+     */
+    set direction(value) {
+        this.#direction = value.getNormalized();
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Gets the Lambert brightness of a surface: full when it faces the light, none when it's side-on or away.
+     * @param {Vector3} position - The world space point on the surface (unused).
+     * @param {Vector3} normal - The surface's world space unit normal.
+     * @returns {number} The brightness at the point.
+     */
+    getIrradiance(position, normal) {
+        return this.intensity * Math.max(0, -normal.getDot(this.#direction));
+    }
+
+    // endregion
+}
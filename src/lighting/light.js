@@ -0,0 +1,80 @@
+import {Color} from '../rendering/color.js';
+
+/**
+ * Base class for lights added to a Scene. Lights only affect faces whose material has a lit shading mode.
+ */
+export class Light {
+    // region Fields
+
+    #color;
+    #intensity;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new Light.
+     * @param {string} color - The light color (hex string, e.g., '#ffffff').
+     * @param {number} intensity - Brightness multiplier (1 lights a face it points straight at with its full color).
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    constructor(color = '#ffffff', intensity = 1) {
+        this.color = color;
+        this.#intensity = intensity;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the light color.
+     * @returns {string} The light color (hex string).
+     */
+    get color() {
+        return this.#color;
+    }
+
+    /**
+     * Sets the light color.
+     * @param {string} value - The light color (hex string).
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set color(value) {
+        Color.validate(value);
+        this.#color = value;
+    }
+
+    /**
+     * Gets the brightness multiplier.
+     * @returns {number} The intensity.
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets the brightness multiplier.
+     * @param {number} value - The intensity (0 turns the light off).
+     */
+    set intensity(value) {
+        this.#intensity = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Gets how strongly the light hits a surface, before its color is applied.
+     * @param {Vector3} position - The world space point on the surface.
+     * @param {Vector3} normal - The surface's world space unit normal.
+     * @returns {number} The brightness at the point (0 if unlit).
+     */
+    getIrradiance(position, normal) {
+        throw new Error('Light subclasses must implement getIrradiance');
+    }
+
+    // endregion
+}
@@ -0,0 +1,89 @@
+import {Light} from './light.js';
+
+/**
+ * Light shining in every direction from a point, like a bulb. Faces are lit by how directly they face the point,
+ * optionally fading out with distance.
+ */
+export class PointLight extends Light {
+    // region Fields
+
+    #position;
+    #range;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new PointLight.
+     * @param {Vector3} position - The world space position of the light.
+     * @param {string} color - The light color (hex string, e.g., '#ffffff').
+     * @param {number} intensity - Brightness multiplier.
+     * @param {number|null} range - Distance at which the light has faded out completely, or null to not fade.
+     */
+    constructor(position, color = '#ffffff', intensity = 1, range = null) {
+        super(color, intensity);
+        this.#position = position;
+        this.#range = range;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the position of the light.
+     * @returns {Vector3} The world space position.
+     */
+    get position() {
+        return this.#position;
+    }
+
+    /**
+     * Sets the position of the light.
+     * @param {Vector3} value - The world space position.
+     */
+    set position(value) {
+        this.#position = value;
+    }
+
+    /**
+     * Gets the distance at which the light has faded out.
+     * @returns {number|null} The range, or null if the light doesn't fade.
+     */
+    get range() {
+        return this.#range;
+    }
+
+    /**
+     * Sets the distance at which the light has faded out (fades linearly from full at the light).
+     * @param {number|null} value - The range, or null to not fade.
+     */
+    set range(value) {
+        this.#range = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Gets the Lambert brightness of a surface toward the light, faded by distance if the light has a range.
+     * @param {Vector3} position - The world space point on the surface.
+     * @param {Vector3} normal - The surface's world space unit normal.
+     * @returns {number} The brightness at the point.
+     */
+    getIrradiance(position, normal) {
+        const toLight = this.#position.getDifference(position);
+        const distance = toLight.getMagnitude();
+
+        if (distance === 0)
+            return this.intensity;
+
+        const falloff = this.#range === null ? 1 : Math.max(0, 1 - distance / this.#range);
+
+        return this.intensity * falloff * Math.max(0, normal.getDot(toLight) / distance);
+    }
+
+    // endregion
+}
@@ -0,0 +1,484 @@
+import {Vector3} from './vector3.js';
+import {Quaternion} from './quaternion.js';
+
+/**
+ * A 4x4 matrix for affine and projective transformations in 3D space.
+ * Elements are stored in row-major order and vectors are treated as columns (M * v).
+ * Completely immutable - all methods return new instances.
+ */
+export class Matrix4 {
+    // region Fields
+
+    #elements;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new Matrix4.
+     * @param {number[]} [elements] - The 16 elements in row-major order (identity if omitted).
+     */
+    constructor(elements = null) {
+        /** @type {number[]} @private */
+        this.#elements = elements ? [...elements] : [
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ];
+    }
+
+    // endregion
+
+    // region Getter Properties
+
+    /**
+     * Gets a copy of the elements in row-major order.
+     * @returns {number[]} The 16 matrix elements.
+     */
+    get elements() {
+        return [...this.#elements];
+    }
+
+    /**
+     * Gets the translation stored in the matrix.
+     * @returns {Vector3} The translation component.
+     */
+    get translation() {
+        const m = this.#elements;
+        return new Vector3(m[3], m[7], m[11]);
+    }
+
+    // endregion
+
+    // region Element Access Methods
+
+    /**
+     * Gets a single element.
+     * @param {number} row - The row index (0-3).
+     * @param {number} column - The column index (0-3).
+     * @returns {number} The element value.
+     */
+    getElement(row, column) {
+        return this.#elements[row * 4 + column];
+    }
+
+    // endregion
+
+    // region Matrix4 Operation Methods
+
+    /**
+     * Returns the product of this matrix and another (this * other).
+     * When used as a transform, other is applied first.
+     * @param {Matrix4} other - The right-hand matrix.
+     * @returns {Matrix4} A new matrix.
+     */
+    getMultiplied(other) {
+        const a = this.#elements;
+        const b = other.#elements;
+        const result = new Array(16);
+
+        for (let row = 0; row < 4; row++) {
+            const r = row * 4;
+            for (let col = 0; col < 4; col++) {
+                result[r + col] =
+                    a[r] * b[col] +
+                    a[r + 1] * b[4 + col] +
+                    a[r + 2] * b[8 + col] +
+                    a[r + 3] * b[12 + col];
+            }
+        }
+
+        return new Matrix4(result);
+    }
+
+    /**
+     * Returns the transpose of this matrix.
+     * @returns {Matrix4} A new transposed matrix.
+     */
+    getTransposed() {
+        const m = this.#elements;
+        return new Matrix4([
+            m[0], m[4], m[8], m[12],
+            m[1], m[5], m[9], m[13],
+            m[2], m[6], m[10], m[14],
+            m[3], m[7], m[11], m[15]
+        ]);
+    }
+
+    /**
+     * Returns the inverse of this matrix.
+     * @returns {Matrix4} A new inverted matrix.
+     * @throws {Error} If the matrix is singular (determinant of 0).
+     */
+    getInverted() {
+        const m = this.#elements;
+
+        const b00 = m[0] * m[5] - m[1] * m[4];
+        const b01 = m[0] * m[6] - m[2] * m[4];
+        const b02 = m[0] * m[7] - m[3] * m[4];
+        const b03 = m[1] * m[6] - m[2] * m[5];
+        const b04 = m[1] * m[7] - m[3] * m[5];
+        const b05 = m[2] * m[7] - m[3] * m[6];
+        const b06 = m[8] * m[13] - m[9] * m[12];
+        const b07 = m[8] * m[14] - m[10] * m[12];
+        const b08 = m[8] * m[15] - m[11] * m[12];
+        const b09 = m[9] * m[14] - m[10] * m[13];
+        const b10 = m[9] * m[15] - m[11] * m[13];
+        const b11 = m[10] * m[15] - m[11] * m[14];
+
+        const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+
+        if (det === 0)
+            throw new Error('Matrix is not invertible');
+
+        const invDet = 1 / det;
+
+        return new Matrix4([
+            (m[5] * b11 - m[6] * b10 + m[7] * b09) * invDet,
+            (m[2] * b10 - m[1] * b11 - m[3] * b09) * invDet,
+            (m[13] * b05 - m[14] * b04 + m[15] * b03) * invDet,
+            (m[10] * b04 - m[9] * b05 - m[11] * b03) * invDet,
+            (m[6] * b08 - m[4] * b11 - m[7] * b07) * invDet,
+            (m[0] * b11 - m[2] * b08 + m[3] * b07) * invDet,
+            (m[14] * b02 - m[12] * b05 - m[15] * b01) * invDet,
+            (m[8] * b05 - m[10] * b02 + m[11] * b01) * invDet,
+            (m[4] * b10 - m[5] * b08 + m[7] * b06) * invDet,
+            (m[1] * b08 - m[0] * b10 - m[3] * b06) * invDet,
+            (m[12] * b04 - m[13] * b02 + m[15] * b00) * invDet,
+            (m[9] * b02 - m[8] * b04 - m[11] * b00) * invDet,
+            (m[5] * b07 - m[4] * b09 - m[6] * b06) * invDet,
+            (m[0] * b09 - m[1] * b07 + m[2] * b06) * invDet,
+            (m[13] * b01 - m[12] * b03 - m[14] * b00) * invDet,
+            (m[8] * b03 - m[9] * b01 + m[10] * b00) * invDet
+        ]);
+    }
+
+    /**
+     * Computes the determinant of this matrix.
+     * @returns {number} The determinant.
+     */
+    getDeterminant() {
+        const m = this.#elements;
+
+        const b00 = m[0] * m[5] - m[1] * m[4];
+        const b01 = m[0] * m[6] - m[2] * m[4];
+        const b02 = m[0] * m[7] - m[3] * m[4];
+        const b03 = m[1] * m[6] - m[2] * m[5];
+        const b04 = m[1] * m[7] - m[3] * m[5];
+        const b05 = m[2] * m[7] - m[3] * m[6];
+        const b06 = m[8] * m[13] - m[9] * m[12];
+        const b07 = m[8] * m[14] - m[10] * m[12];
+        const b08 = m[8] * m[15] - m[11] * m[12];
+        const b09 = m[9] * m[14] - m[10] * m[13];
+        const b10 = m[9] * m[15] - m[11] * m[13];
+        const b11 = m[10] * m[15] - m[11] * m[14];
+
+        return b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    }
+
+    /**
+     * Gets the largest scale factor applied along any axis, e.g. for scaling bounding sphere radii.
+     * @returns {number} The longest column length of the upper 3x3.
+     */
+    getMaxScale() {
+        const m = this.#elements;
+        return Math.max(
+            Math.hypot(m[0], m[4], m[8]),
+            Math.hypot(m[1], m[5], m[9]),
+            Math.hypot(m[2], m[6], m[10])
+        );
+    }
+
+    /**
+     * Checks whether the upper 3x3 scales every direction equally (no non-uniform scale or shear), so the
+     * transform keeps the angles between directions.
+     * @returns {boolean} True if the columns of the upper 3x3 are perpendicular and equally long.
+     */
+    hasUniformScale() {
+        const m = this.#elements;
+        const columns = [[m[0], m[4], m[8]], [m[1], m[5], m[9]], [m[2], m[6], m[10]]];
+        const lengths = columns.map(c => Math.hypot(...c));
+        const tolerance = 1e-9 * Math.max(...lengths) ** 2;
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+        return Math.abs(lengths[0] ** 2 - lengths[1] ** 2) <= tolerance
+            && Math.abs(lengths[0] ** 2 - lengths[2] ** 2) <= tolerance
+            && Math.abs(dot(columns[0], columns[1])) <= tolerance
+            && Math.abs(dot(columns[0], columns[2])) <= tolerance
+            && Math.abs(dot(columns[1], columns[2])) <= tolerance;
+    }
+
+    /**
+     * Transforms a point (w = 1), including translation and the perspective divide.
+     * @param {Vector3} point - The point to transform.
+     * @returns {Vector3} A new transformed point.
+     */
+    transformPoint(point) {
+        const m = this.#elements;
+        const x = point.x;
+        const y = point.y;
+        const z = point.z;
+        const w = m[12] * x + m[13] * y + m[14] * z + m[15];
+        const invW = w !== 0 ? 1 / w : 1;
+
+        return new Vector3(
+            (m[0] * x + m[1] * y + m[2] * z + m[3]) * invW,
+            (m[4] * x + m[5] * y + m[6] * z + m[7]) * invW,
+            (m[8] * x + m[9] * y + m[10] * z + m[11]) * invW
+        );
+    }
+
+    /**
+     * Transforms a direction (w = 0), ignoring translation.
+     * @param {Vector3} direction - The direction to transform.
+     * @returns {Vector3} A new transformed direction (not normalized).
+     */
+    transformDirection(direction) {
+        const m = this.#elements;
+        const x = direction.x;
+        const y = direction.y;
+        const z = direction.z;
+
+        return new Vector3(
+            m[0] * x + m[1] * y + m[2] * z,
+            m[4] * x + m[5] * y + m[6] * z,
+            m[8] * x + m[9] * y + m[10] * z
+        );
+    }
+
+    /**
+     * Splits an affine matrix into position, rotation, and scale.
+     * Rotation is returned as X→Y→Z Euler angles (the same order Transform uses).
+     * @returns {{position: Vector3, rotation: Vector3, scale: Vector3}} The decomposed components.
+     */
+    decompose() {
+        const m = this.#elements;
+
+        let scaleX = Math.hypot(m[0], m[4], m[8]);
+        const scaleY = Math.hypot(m[1], m[5], m[9]);
+        const scaleZ = Math.hypot(m[2], m[6], m[10]);
+
+        // A negative determinant means the matrix mirrors, which is folded into the X axis
+        if (this.getDeterminant() < 0)
+            scaleX = -scaleX;
+
+        const invX = scaleX !== 0 ? 1 / scaleX : 0;
+        const invY = scaleY !== 0 ? 1 / scaleY : 0;
+        const invZ = scaleZ !== 0 ? 1 / scaleZ : 0;
+
+        return {
+            position: new Vector3(m[3], m[7], m[11]),
+            rotation: Matrix4.#getEulerFromRotation(
+                m[0] * invX, m[1] * invY, m[2] * invZ,
+                m[4] * invX, m[5] * invY, m[6] * invZ,
+                m[8] * invX, m[9] * invY, m[10] * invZ
+            ),
+            scale: new Vector3(scaleX, scaleY, scaleZ)
+        };
+    }
+
+    // endregion
+
+    // region Static Factory Methods
+
+    /**
+     * Returns a new identity matrix.
+     * @returns {Matrix4} A new identity matrix.
+     */
+    static identity() {
+        return new Matrix4();
+    }
+
+    /**
+     * Returns a new translation matrix.
+     * @param {Vector3} translation - The translation.
+     * @returns {Matrix4} A new translation matrix.
+     */
+    static translation(translation) {
+        return new Matrix4([
+            1, 0, 0, translation.x,
+            0, 1, 0, translation.y,
+            0, 0, 1, translation.z,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Returns a new scaling matrix.
+     * @param {Vector3} scale - The scale factors for each axis.
+     * @returns {Matrix4} A new scaling matrix.
+     */
+    static scaling(scale) {
+        return new Matrix4([
+            scale.x, 0, 0, 0,
+            0, scale.y, 0, 0,
+            0, 0, scale.z, 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Returns a new rotation matrix, matching Vector3.getRotated (X, then Y, then Z) for Euler angles.
+     * @param {Vector3|Quaternion} rotation - Euler angles in radians (x, y, z) or a quaternion.
+     * @returns {Matrix4} A new rotation matrix.
+     */
+    static rotation(rotation) {
+        return Matrix4.compose(Vector3.zero(), rotation, Vector3.one());
+    }
+
+    /**
+     * Returns a new matrix that applies scale → rotate → translate.
+     * @param {Vector3} position - The translation.
+     * @param {Vector3|Quaternion} rotation - Euler angles in radians (x, y, z) applied X, Y, Z, or a quaternion.
+     * @param {Vector3} scale - The scale factors for each axis.
+     * @returns {Matrix4} A new transformation matrix.
+     */
+    static compose(position, rotation, scale) {
+        const [
+            r00, r01, r02,
+            r10, r11, r12,
+            r20, r21, r22
+        ] = rotation instanceof Quaternion
+            ? Matrix4.#getQuaternionRotation(rotation)
+            : Matrix4.#getEulerRotation(rotation);
+
+        return new Matrix4([
+            r00 * scale.x, r01 * scale.y, r02 * scale.z, position.x,
+            r10 * scale.x, r11 * scale.y, r12 * scale.z, position.y,
+            r20 * scale.x, r21 * scale.y, r22 * scale.z, position.z,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Returns a new perspective projection matrix for a camera looking down +Z.
+     * Transformed points are in normalized device coordinates (x and y in [-1, 1] when visible).
+     * @param {number} fov - The vertical field of view in radians.
+     * @param {number} aspectRatio - The viewport width divided by its height.
+     * @param {number} near - The near clipping distance.
+     * @param {number} far - The far clipping distance.
+     * @returns {Matrix4} A new projection matrix.
+     */
+    static perspective(fov, aspectRatio, near, far) {
+        const focalLength = 1 / Math.tan(fov / 2);
+        const rangeInv = 1 / (far - near);
+
+        return new Matrix4([
+            focalLength / aspectRatio, 0, 0, 0,
+            0, focalLength, 0, 0,
+            0, 0, (far + near) * rangeInv, -2 * far * near * rangeInv,
+            0, 0, 1, 0
+        ]);
+    }
+
+    /**
+     * Returns a new orthographic projection matrix for a camera looking down +Z.
+     * Transformed points are in normalized device coordinates (x and y in [-1, 1] when visible).
+     * @param {number} height - The height of the visible area in world units (the width follows the aspect ratio).
+     * @param {number} aspectRatio - The viewport width divided by its height.
+     * @param {number} near - The near clipping distance.
+     * @param {number} far - The far clipping distance.
+     * @returns {Matrix4} A new projection matrix.
+     */
+    static orthographic(height, aspectRatio, near, far) {
+        const rangeInv = 1 / (far - near);
+
+        return new Matrix4([
+            2 / (height * aspectRatio), 0, 0, 0,
+            0, 2 / height, 0, 0,
+            0, 0, 2 * rangeInv, -(far + near) * rangeInv,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Returns a new view matrix that moves world space into the space of a viewer at eye looking at target.
+     * In view space the viewer is at the origin looking down +Z with +Y up.
+     * @param {Vector3} eye - The viewer position.
+     * @param {Vector3} target - The point to look at.
+     * @param {Vector3} [up] - The world up direction (default Vector3.up()).
+     * @returns {Matrix4} A new view matrix.
+     */
+    static lookAt(eye, target, up = Vector3.up()) {
+        const zAxis = target.getDifference(eye).getNormalized();
+        let xAxis = up.getCross(zAxis).getNormalized();
+
+        // Looking straight along up, so any axis perpendicular to the view direction will do
+        if (xAxis.getMagnitude() === 0) {
+            const fallbackUp = Math.abs(zAxis.z) < 0.9 ? new Vector3(0, 0, 1) : Vector3.right();
+            xAxis = fallbackUp.getCross(zAxis).getNormalized();
+        }
+
+        const yAxis = zAxis.getCross(xAxis);
+
+        return new Matrix4([
+            xAxis.x, xAxis.y, xAxis.z, -xAxis.getDot(eye),
+            yAxis.x, yAxis.y, yAxis.z, -yAxis.getDot(eye),
+            zAxis.x, zAxis.y, zAxis.z, -zAxis.getDot(eye),
+            0, 0, 0, 1
+        ]);
+    }
+
+    // endregion
+
+    // region Helper Methods
+
+    /**
+     * Builds the 3x3 rotation (row-major) for X→Y→Z Euler angles.
+     * @returns {number[]} The 9 rotation elements.
+     * @private
+     */
+    static #getEulerRotation(rotation) {
+        const cx = Math.cos(rotation.x);
+        const sx = Math.sin(rotation.x);
+        const cy = Math.cos(rotation.y);
+        const sy = Math.sin(rotation.y);
+        const cz = Math.cos(rotation.z);
+        const sz = Math.sin(rotation.z);
+
+        // Rz * Ry * Rx using the same rotation directions as Vector3.getRotatedX/Y/Z
+        return [
+            cz * cy, -cz * sy * sx - sz * cx, -cz * sy * cx + sz * sx,
+            sz * cy, -sz * sy * sx + cz * cx, -sz * sy * cx - cz * sx,
+            sy, cy * sx, cy * cx
+        ];
+    }
+
+    /**
+     * Builds the 3x3 rotation (row-major) for a unit quaternion.
+     * @returns {number[]} The 9 rotation elements.
+     * @private
+     */
+    static #getQuaternionRotation(quaternion) {
+        const {x, y, z, w} = quaternion;
+
+        return [
+            1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+            2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+            2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+        ];
+    }
+
+    /**
+     * Extracts X→Y→Z Euler angles from the elements of a pure rotation matrix (given in row-major order).
+     * @returns {Vector3} The rotation angles in radians (x, y, z).
+     * @private
+     */
+    static #getEulerFromRotation(r00, r01, r02, r10, r11, r12, r20, r21, r22) {
+        const sinY = Math.max(-1, Math.min(1, r20));
+
+        // Gimbal lock: X and Z rotate around the same axis, so fold everything into X
+        if (Math.abs(sinY) > 0.9999999)
+            return new Vector3(Math.atan2(-r12, r11), Math.asin(sinY), 0);
+
+        return new Vector3(
+            Math.atan2(r21, r22),
+            Math.asin(sinY),
+            Math.atan2(r10, r00)
+        );
+    }
+
+    // endregion
+}
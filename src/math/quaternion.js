@@ -0,0 +1,322 @@
+import {Vector3} from './vector3.js';
+
+/**
+ * A unit quaternion representing an orientation or rotation in 3D space.
+ * Avoids gimbal lock and allows smooth interpolation between orientations.
+ * Completely immutable - all methods return new instances.
+ */
+export class Quaternion {
+    // region Fields
+
+    #x;
+    #y;
+    #z;
+    #w;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new Quaternion.
+     * @param {number} x - The x component (vector part).
+     * @param {number} y - The y component (vector part).
+     * @param {number} z - The z component (vector part).
+     * @param {number} w - The w component (scalar part).
+     */
+    constructor(x, y, z, w) {
+        /** @type {number} @private */
+        this.#x = x;
+        /** @type {number} @private */
+        this.#y = y;
+        /** @type {number} @private */
+        this.#z = z;
+        /** @type {number} @private */
+        this.#w = w;
+    }
+
+    // endregion
+
+    // region Getter Properties
+
+    /**
+     * Gets the x component.
+     * @returns {number} The x component.
+     */
+    get x() {
+        return this.#x;
+    }
+
+    /**
+     * Gets the y component.
+     * @returns {number} The y component.
+     */
+    get y() {
+        return this.#y;
+    }
+
+    /**
+     * Gets the z component.
+     * @returns {number} The z component.
+     */
+    get z() {
+        return this.#z;
+    }
+
+    /**
+     * Gets the w component.
+     * @returns {number} The w component.
+     */
+    get w() {
+        return this.#w;
+    }
+
+    // endregion
+
+    // region Quaternion Operation Methods
+
+    /**
+     * Returns the product of this quaternion and another (this * other).
+     * The resulting rotation applies other first, then this.
+     * @param {Quaternion} other - The right-hand quaternion.
+     * @returns {Quaternion} A new quaternion.
+     */
+    getMultiplied(other) {
+        const ax = this.#x, ay = this.#y, az = this.#z, aw = this.#w;
+        const bx = other.#x, by = other.#y, bz = other.#z, bw = other.#w;
+
+        return new Quaternion(
+            aw * bx + ax * bw + ay * bz - az * by,
+            aw * by - ax * bz + ay * bw + az * bx,
+            aw * bz + ax * by - ay * bx + az * bw,
+            aw * bw - ax * bx - ay * by - az * bz
+        );
+    }
+
+    /**
+     * Gets a unit quaternion with the same orientation.
+     * @returns {Quaternion} A new normalized quaternion, or identity if the length is 0.
+     */
+    getNormalized() {
+        const len = Math.hypot(this.#x, this.#y, this.#z, this.#w);
+
+        if (len === 0) return Quaternion.identity();
+
+        return new Quaternion(this.#x / len, this.#y / len, this.#z / len, this.#w / len);
+    }
+
+    /**
+     * Gets the inverse rotation (the conjugate, since quaternions here are unit length).
+     * @returns {Quaternion} A new inverted quaternion.
+     */
+    getInverted() {
+        return new Quaternion(-this.#x, -this.#y, -this.#z, this.#w);
+    }
+
+    /**
+     * Computes the dot product with another quaternion.
+     * @param {Quaternion} other - The other quaternion.
+     * @returns {number} The dot product.
+     */
+    getDot(other) {
+        return this.#x * other.#x + this.#y * other.#y + this.#z * other.#z + this.#w * other.#w;
+    }
+
+    /**
+     * Rotates a vector by this quaternion.
+     * @param {Vector3} vector - The vector to rotate.
+     * @returns {Vector3} A new rotated vector.
+     */
+    rotateVector(vector) {
+        // v' = v + 2w(q × v) + 2(q × (q × v)), where q is the vector part
+        const qx = this.#x, qy = this.#y, qz = this.#z, qw = this.#w;
+        const tx = 2 * (qy * vector.z - qz * vector.y);
+        const ty = 2 * (qz * vector.x - qx * vector.z);
+        const tz = 2 * (qx * vector.y - qy * vector.x);
+
+        return new Vector3(
+            vector.x + qw * tx + (qy * tz - qz * ty),
+            vector.y + qw * ty + (qz * tx - qx * tz),
+            vector.z + qw * tz + (qx * ty - qy * tx)
+        );
+    }
+
+    /**
+     * Converts to X→Y→Z Euler angles (the same order Transform and Vector3.getRotated use).
+     * @returns {Vector3} The rotation angles in radians (x, y, z).
+     */
+    toEuler() {
+        const x = this.#x, y = this.#y, z = this.#z, w = this.#w;
+
+        // Only the rotation matrix elements needed to recover the angles
+        const r00 = 1 - 2 * (y * y + z * z);
+        const r10 = 2 * (x * y + w * z);
+        const r11 = 1 - 2 * (x * x + z * z);
+        const r12 = 2 * (y * z - w * x);
+        const r20 = 2 * (x * z - w * y);
+        const r21 = 2 * (y * z + w * x);
+        const r22 = 1 - 2 * (x * x + y * y);
+
+        const sinY = Math.max(-1, Math.min(1, r20));
+
+        // Gimbal lock: X and Z rotate around the same axis, so fold everything into X
+        if (Math.abs(sinY) > 0.9999999)
+            return new Vector3(Math.atan2(-r12, r11), Math.asin(sinY), 0);
+
+        return new Vector3(
+            Math.atan2(r21, r22),
+            Math.asin(sinY),
+            Math.atan2(r10, r00)
+        );
+    }
+
+    // endregion
+
+    // region Static Methods
+
+    /**
+     * Returns a new identity quaternion (no rotation).
+     * @returns {Quaternion} A new identity quaternion.
+     */
+    static identity() {
+        return new Quaternion(0, 0, 0, 1);
+    }
+
+    /**
+     * Creates a quaternion that rotates around an axis using the right-hand rule.
+     * Note that Euler Y angles (see Vector3.getRotatedY) turn the opposite way around +Y.
+     * @param {Vector3} axis - The rotation axis (does not need to be normalized).
+     * @param {number} angle - The rotation angle in radians.
+     * @returns {Quaternion} A new quaternion.
+     */
+    static fromAxisAngle(axis, angle) {
+        const normalized = axis.getNormalized();
+        const sin = Math.sin(angle / 2);
+
+        return new Quaternion(
+            normalized.x * sin,
+            normalized.y * sin,
+            normalized.z * sin,
+            Math.cos(angle / 2)
+        );
+    }
+
+    /**
+     * Creates a quaternion from X→Y→Z Euler angles, matching Vector3.getRotated.
+     * @param {Vector3} rotation - The rotation angles in radians (x, y, z).
+     * @returns {Quaternion} A new quaternion.
+     */
+    static fromEuler(rotation) {
+        // Vector3.getRotatedY turns X toward -Z, which is a negative angle around +Y
+        const qx = Quaternion.fromAxisAngle(Vector3.right(), rotation.x);
+        const qy = Quaternion.fromAxisAngle(Vector3.up(), -rotation.y);
+        const qz = Quaternion.fromAxisAngle(new Vector3(0, 0, 1), rotation.z);
+
+        return qz.getMultiplied(qy).getMultiplied(qx);
+    }
+
+    /**
+     * Creates an orientation whose forward (+Z) axis points along a direction.
+     * @param {Vector3} forward - The direction to face (does not need to be normalized).
+     * @param {Vector3} [up] - The up direction used to roll the orientation (default Vector3.up()).
+     * @returns {Quaternion} A new quaternion, or identity if forward has no length.
+     */
+    static lookRotation(forward, up = Vector3.up()) {
+        const zAxis = forward.getNormalized();
+
+        if (zAxis.getMagnitude() === 0)
+            return Quaternion.identity();
+
+        let xAxis = up.getCross(zAxis).getNormalized();
+
+        // Facing straight along up, so any axis perpendicular to forward will do
+        if (xAxis.getMagnitude() === 0) {
+            const fallbackUp = Math.abs(zAxis.z) < 0.9 ? new Vector3(0, 0, 1) : Vector3.right();
+            xAxis = fallbackUp.getCross(zAxis).getNormalized();
+        }
+
+        const yAxis = zAxis.getCross(xAxis);
+
+        return Quaternion.#fromRotation(
+            xAxis.x, yAxis.x, zAxis.x,
+            xAxis.y, yAxis.y, zAxis.y,
+            xAxis.z, yAxis.z, zAxis.z
+        );
+    }
+
+    /**
+     * Spherically interpolates between two orientations along the shortest path.
+     * @param {Quaternion} from - Start orientation.
+     * @param {Quaternion} to - End orientation.
+     * @param {number} t - Interpolation factor (0 = from, 1 = to).
+     * @returns {Quaternion} A new interpolated quaternion.
+     */
+    static slerp(from, to, t) {
+        let cos = from.getDot(to);
+        let tx = to.#x, ty = to.#y, tz = to.#z, tw = to.#w;
+
+        // q and -q are the same orientation, so flip to take the shorter arc
+        if (cos < 0) {
+            cos = -cos;
+            tx = -tx;
+            ty = -ty;
+            tz = -tz;
+            tw = -tw;
+        }
+
+        let fromWeight;
+        let toWeight;
+
+        if (cos > 0.9995) {
+            // Nearly identical orientations, so linear interpolation avoids dividing by ~0
+            fromWeight = 1 - t;
+            toWeight = t;
+        } else {
+            const angle = Math.acos(cos);
+            const sin = Math.sin(angle);
+            fromWeight = Math.sin((1 - t) * angle) / sin;
+            toWeight = Math.sin(t * angle) / sin;
+        }
+
+        return new Quaternion(
+            from.#x * fromWeight + tx * toWeight,
+            from.#y * fromWeight + ty * toWeight,
+            from.#z * fromWeight + tz * toWeight,
+            from.#w * fromWeight + tw * toWeight
+        ).getNormalized();
+    }
+
+    // endregion
+
+    // region Helper Methods
+
+    /**
+     * Converts a pure rotation matrix (given in row-major order) to a quaternion.
+     * @returns {Quaternion} A new quaternion.
+     * @private
+     */
+    static #fromRotation(m00, m01, m02, m10, m11, m12, m20, m21, m22) {
+        const trace = m00 + m11 + m22;
+
+        // Branch on the largest diagonal term to keep the square root away from 0
+        if (trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            return new Quaternion((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s);
+        }
+
+        if (m00 > m11 && m00 > m22) {
+            const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+            return new Quaternion(0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+        }
+
+        if (m11 > m22) {
+            const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+            return new Quaternion((m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s);
+        }
+
+        const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+        return new Quaternion((m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s);
+    }
+
+    // endregion
+}
@@ -0,0 +1,114 @@
+import {Vector3} from './vector3.js';
+
+/**
+ * A half-line starting at an origin and extending forever in one direction, e.g. for picking objects under the mouse.
+ * Completely immutable - all methods return new instances.
+ */
+export class Ray {
+    // region Fields
+
+    #origin;
+    #direction;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new Ray.
+     * @param {Vector3} origin - The starting point.
+     * @param {Vector3} direction - The direction (normalized automatically).
+     */
+    constructor(origin, direction) {
+        /** @type {Vector3} @private */
+        this.#origin = origin;
+        /** @type {Vector3} @private */
+        this.#direction = direction.getNormalized();
+    }
+
+    // endregion
+
+    // region Getter Properties
+
+    /**
+     * Gets the starting point.
+     * @returns {Vector3} The origin.
+     */
+    get origin() {
+        return this.#origin;
+    }
+
+    /**
+     * Gets the unit length direction.
+     * @returns {Vector3} The direction.
+     */
+    get direction() {
+        return this.#direction;
+    }
+
+    // endregion
+
+    // region Ray Operation Methods
+
+    /**
+     * Gets the point a distance along the ray.
+     * @param {number} distance - The distance from the origin.
+     * @returns {Vector3} A new point.
+     */
+    getPoint(distance) {
+        return this.#origin.getTranslated(this.#direction.getScaled(distance));
+    }
+
+    /**
+     * Gets where the ray first hits a triangle (Möller–Trumbore). Both sides of the triangle can be hit.
+     * @param {Vector3} a - The first corner.
+     * @param {Vector3} b - The second corner.
+     * @param {Vector3} c - The third corner.
+     * @returns {number|null} The distance from the origin to the hit, or null if the ray misses.
+     */
+    getTriangleIntersection(a, b, c) {
+        const edge1 = b.getDifference(a);
+        const edge2 = c.getDifference(a);
+        const p = this.#direction.getCross(edge2);
+        const determinant = edge1.getDot(p);
+
+        // The ray is parallel to the triangle (or the triangle has no area)
+        if (Math.abs(determinant) < 1e-10)
+            return null;
+
+        const inverseDeterminant = 1 / determinant;
+        const toOrigin = this.#origin.getDifference(a);
+
+        // u and v are barycentric coordinates; the hit is inside when both are >= 0 and u + v <= 1
+        const u = toOrigin.getDot(p) * inverseDeterminant;
+        if (u < 0 || u > 1)
+            return null;
+
+        const q = toOrigin.getCross(edge1);
+        const v = this.#direction.getDot(q) * inverseDeterminant;
+        if (v < 0 || u + v > 1)
+            return null;
+
+        const distance = edge2.getDot(q) * inverseDeterminant;
+
+        return distance >= 0 ? distance : null;
+    }
+
+    /**
+     * Checks whether the ray passes through a sphere (including when it starts inside).
+     * @param {Vector3} center - The sphere's center.
+     * @param {number} radius - The sphere's radius.
+     * @returns {boolean} True if the ray touches the sphere.
+     */
+    isIntersectingSphere(center, radius) {
+        const toCenter = center.getDifference(this.#origin);
+
+        // Closest point on the ray to the center, ignoring the part behind the origin
+        const closestDistance = Math.max(0, toCenter.getDot(this.#direction));
+        const closestPoint = this.getPoint(closestDistance);
+
+        return closestPoint.getDifference(center).getMagnitude() <= radius;
+    }
+
+    // endregion
+}
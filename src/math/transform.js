@@ -1,14 +1,27 @@
 import {Vector3} from './vector3.js';
+import {Matrix4} from './matrix4.js';
+import {Quaternion} from './quaternion.js';
 
 /**
  * Represents the position, rotation, and scale of an object in 3D space.
+ * Orientation can be read and written either as X→Y→Z Euler angles or as a quaternion. Whichever form was set
+ * last is the source of truth and the other is derived from it when requested.
  */
 export class Transform {
     // region Fields
 
     #position;
-    #rotation;
+    #rotation = null;
+    #quaternion = null;
+    #isEulerRotation = true;
     #scale;
+    #parent = null;
+
+    // Cached matrices and the (immutable) values they were built from
+    #localMatrix = null;
+    #localMatrixSource = [];
+    #worldMatrix = null;
+    #worldMatrixSource = [];
 
     // endregion
 
@@ -17,13 +30,17 @@ export class Transform {
     /**
      * Creates a new Transform.
      * @param {Vector3} position - The position in 3D space.
-     * @param {Vector3} rotation - The rotation angles in radians (x, y, z).
+     * @param {Vector3|Quaternion} rotation - The rotation angles in radians (x, y, z), or a quaternion.
      * @param {Vector3} scale - The scale factors for each axis.
      */
     constructor(position, rotation, scale) {
         this.#position = position;
-        this.#rotation = rotation;
         this.#scale = scale;
+
+        if (rotation instanceof Quaternion)
+            this.#setQuaternion(rotation);
+        else
+            this.#setEuler(rotation);
     }
 
     // endregion
@@ -44,9 +61,23 @@ export class Transform {
      * @returns {Vector3} The rotation angles in radians.
      */
     get rotation() {
+        if (this.#rotation === null)
+            this.#rotation = this.#quaternion.toEuler();
+
         return this.#rotation;
     }
 
+    /**
+     * Gets the rotation as a quaternion.
+     * @returns {Quaternion} The orientation.
+     */
+    get quaternion() {
+        if (this.#quaternion === null)
+            this.#quaternion = Quaternion.fromEuler(this.#rotation);
+
+        return this.#quaternion;
+    }
+
     /**
      * Gets the scale.
      * @returns {Vector3} The scale factors for each axis.
@@ -55,6 +86,98 @@ export class Transform {
         return this.#scale;
     }
 
+    /**
+     * Gets the parent transform this transform is relative to.
+     * @returns {Transform|null} The parent transform, or null if this transform is in world space.
+     */
+    get parent() {
+        return this.#parent;
+    }
+
+    /**
+     * Gets the position in world space, taking all parent transforms into account.
+     * @returns {Vector3} The world space position.
+     */
+    get worldPosition() {
+        if (!this.#parent)
+            return this.#position;
+
+        return this.worldMatrix.translation;
+    }
+
+    /**
+     * Gets the rotation in world space, taking all parent rotations into account.
+     * @returns {Vector3} The world space rotation angles in radians (x, y, z).
+     */
+    get worldRotation() {
+        if (!this.#parent)
+            return this.rotation;
+
+        return this.worldMatrix.decompose().rotation;
+    }
+
+    /**
+     * Gets the rotation in world space as a quaternion.
+     * @returns {Quaternion} The world space orientation.
+     */
+    get worldQuaternion() {
+        if (!this.#parent)
+            return this.quaternion;
+
+        return this.#parent.worldQuaternion.getMultiplied(this.quaternion);
+    }
+
+    /**
+     * Gets the scale in world space (the product of this scale and all parent scales).
+     * Like most engines this is a lossy approximation when a parent is rotated and non-uniformly scaled.
+     * @returns {Vector3} The world space scale factors for each axis.
+     */
+    get worldScale() {
+        if (!this.#parent)
+            return this.#scale;
+
+        return this.#parent.worldScale.getScaledByVector(this.#scale);
+    }
+
+    /**
+     * Gets the matrix that converts from local space to parent space (scale → rotate (X, Y, Z) → translate).
+     * The matrix is cached and only rebuilt after the position, rotation, or scale changes.
+     * @returns {Matrix4} The local transformation matrix.
+     */
+    get localMatrix() {
+        const source = this.#localMatrixSource;
+        const rotation = this.#isEulerRotation ? this.#rotation : this.#quaternion;
+
+        if (source[0] !== this.#position || source[1] !== rotation || source[2] !== this.#scale) {
+            this.#localMatrix = Matrix4.compose(this.#position, rotation, this.#scale);
+            this.#localMatrixSource = [this.#position, rotation, this.#scale];
+        }
+
+        return this.#localMatrix;
+    }
+
+    /**
+     * Gets the matrix that converts from local space to world space, including all parent transforms.
+     * The matrix is cached and only rebuilt after this transform or one of its parents changes.
+     * @returns {Matrix4} The world transformation matrix.
+     */
+    get worldMatrix() {
+        const localMatrix = this.localMatrix;
+
+        if (!this.#parent)
+            return localMatrix;
+
+        const parentMatrix = this.#parent.worldMatrix;
+        const source = this.#worldMatrixSource;
+
+        if (source[0] !== localMatrix || source[1] !== parentMatrix) {
+            this.#worldMatrix = parentMatrix.getMultiplied(localMatrix);
+            this.#worldMatrixSource = [localMatrix, parentMatrix];
+        }
+
+        return this.#worldMatrix;
+    }
+
     // endregion
 
     // region Setter Properties
@@ -71,7 +194,15 @@ export class Transform {
      * @param rotation - The new rotation Vector3.
      */
     set rotation(rotation) {
-        this.#rotation = rotation;
+        this.#setEuler(rotation);
+    }
+
+    /**
+     * Sets the rotation from a quaternion.
+     * @param {Quaternion} quaternion - The new orientation.
+     */
+    set quaternion(quaternion) {
+        this.#setQuaternion(quaternion);
     }
 
     /**
@@ -81,6 +212,21 @@ export class Transform {
     set scale(scale) {
         this.#scale = scale;
     }
+
+    /**
+     * Sets the parent transform. Position, rotation, and scale become relative to the parent.
+     * Prefer SceneObject.addChild, which keeps the scene graph in sync.
+     * @param {Transform|null} parent - The new parent transform, or null to detach.
+     * @throws {Error} If the parent would create a cycle.
+     */
+    set parent(parent) {
+        for (let ancestor = parent; ancestor; ancestor = ancestor.#parent) {
+            if (ancestor === this)
+                throw new Error('A transform cannot be parented to itself or one of its descendants');
+        }
+
+        this.#parent = parent;
+    }
     // endregion
 
     // region Setter Utility Methods
@@ -101,15 +247,18 @@ export class Transform {
 
     /**
      * Sets the rotation.
-     * @param {Vector3|number} valueOrX - The new rotation Vector3, or the x component in radians.
+     * @param {Vector3|Quaternion|number} valueOrX - The new rotation Vector3 or Quaternion, or the x component in
+     *     radians.
      * @param {number} [y] - The y component in radians (if x was provided as first parameter).
      * @param {number} [z] - The z component in radians (if x was provided as first parameter).
      */
     setRotation(valueOrX, y, z) {
-        if (valueOrX instanceof Vector3) {
-            this.#rotation = valueOrX;
+        if (valueOrX instanceof Quaternion) {
+            this.#setQuaternion(valueOrX);
+        } else if (valueOrX instanceof Vector3) {
+            this.#setEuler(valueOrX);
         } else {
-            this.#rotation = new Vector3(valueOrX, y, z);
+            this.#setEuler(new Vector3(valueOrX, y, z));
         }
     }
 
@@ -144,7 +293,38 @@ export class Transform {
      * @param {Vector3} rotation - The rotation angles in radians (x, y, z) to add.
      */
     rotate(rotation) {
-        this.#rotation = this.#rotation.getTranslated(rotation);
+        this.#setEuler(this.rotation.getTranslated(rotation));
+    }
+
+    /**
+     * Rotates around an axis in local space. Unlike rotate, this never gimbal-locks.
+     * @param {Vector3} axis - The rotation axis in local space.
+     * @param {number} angle - The rotation angle in radians.
+     */
+    rotateAroundAxis(axis, angle) {
+        this.#setQuaternion(this.quaternion.getMultiplied(Quaternion.fromAxisAngle(axis, angle)));
+    }
+
+    /**
+     * Rotates so that the forward (+Z) axis points at a world space position.
+     * @param {Vector3} target - The world space position to face.
+     * @param {Vector3} [up] - The world up direction used to keep the transform upright (default Vector3.up()).
+     */
+    lookAt(target, up = Vector3.up()) {
+        const direction = target.getDifference(this.worldPosition);
+
+        if (direction.getMagnitude() === 0)
+            return;
+
+        const worldQuaternion = Quaternion.lookRotation(direction, up);
+
+        if (!this.#parent) {
+            this.#setQuaternion(worldQuaternion);
+            return;
+        }
+
+        // Remove the parent's orientation so the result is relative to the parent
+        this.#setQuaternion(this.#parent.worldQuaternion.getInverted().getMultiplied(worldQuaternion));
     }
 
     /**
@@ -156,4 +336,45 @@ export class Transform {
     }
 
     // endregion
+
+    // region Rotation Helper Methods
+
+    /** @private */
+    #setEuler(rotation) {
+        this.#rotation = rotation;
+        this.#quaternion = null;
+        this.#isEulerRotation = true;
+    }
+
+    /** @private */
+    #setQuaternion(quaternion) {
+        this.#quaternion = quaternion.getNormalized();
+        this.#rotation = null;
+        this.#isEulerRotation = false;
+    }
+
+    // endregion
+
+    // region Space Conversion Methods
+
+    /**
+     * Converts a point from this transform's local space to world space.
+     * Applies transformations in order: scale → rotate (X, Y, Z) → translate, then repeats for each parent.
+     * @param {Vector3} point - The point in local space.
+     * @returns {Vector3} The point in world space.
+     */
+    transformPoint(point) {
+        return this.worldMatrix.transformPoint(point);
+    }
+
+    /**
+     * Converts a point from world space to this transform's local space.
+     * @param {Vector3} point - The point in world space.
+     * @returns {Vector3} The point in local space.
+     */
+    inverseTransformPoint(point) {
+        return this.worldMatrix.getInverted().transformPoint(point);
+    }
+
+    // endregion
 }
@@ -0,0 +1,29 @@
+import {PostProcessPass} from './post-process-pass.js';
+
+/**
+ * Adds the blurred glowing edges onto the frame, using the global bloom blur radius and passes (see Engine.bloom).
+ * Bloom runs first when the post-processing chain has no BloomPass, so only add one to move it elsewhere in the
+ * chain (e.g. after pixelation so the glow stays smooth), or disable one to turn bloom off.
+ */
+export class BloomPass extends PostProcessPass {
+    /**
+     * Adds the glow, once per bloom pass with double the blur radius of the one before.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{bloomCanvas: HTMLCanvasElement|null, bloom: {blur: number, passes: number}}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        if (!frame.bloomCanvas)
+            return;
+
+        // Additive blending so the glow brightens what's under it
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+
+        for (let pass = 0; pass < Math.max(1, frame.bloom.passes); pass++) {
+            ctx.filter = `blur(${frame.bloom.blur * 2 ** pass}px)`;
+            ctx.drawImage(frame.bloomCanvas, 0, 0);
+        }
+
+        ctx.restore();
+    }
+}
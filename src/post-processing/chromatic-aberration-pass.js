@@ -0,0 +1,84 @@
+import {PostProcessPass} from './post-process-pass.js';
+
+/**
+ * Shifts the red channel left and the blue channel right, like the color fringes of a cheap lens or a misaligned
+ * CRT.
+ */
+export class ChromaticAberrationPass extends PostProcessPass {
+    // region Fields
+
+    #offset;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new ChromaticAberrationPass.
+     * @param {number} [offset] - How far the red and blue channels are shifted in pixels (default 2).
+     */
+    constructor(offset = 2) {
+        super();
+        this.#offset = offset;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets how far the red and blue channels are shifted.
+     * @returns {number} The shift in pixels.
+     */
+    get offset() {
+        return this.#offset;
+    }
+
+    /**
+     * Sets how far the red and blue channels are shifted.
+     * @param {number} value - The shift in pixels (negative shifts red right and blue left instead).
+     */
+    set offset(value) {
+        this.#offset = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Redraws the frame with its red and blue channels shifted.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{width: number, height: number}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        const offset = Math.round(this.#offset);
+        const {width, height} = frame;
+
+        if (offset === 0 || width === 0 || height === 0)
+            return;
+
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const source = imageData.data.slice();
+        const data = imageData.data;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+
+            for (let x = 0; x < width; x++) {
+                // Sample red from the right and blue from the left, clamping at the edges (either way for a
+                // negative offset)
+                const redX = Math.max(0, Math.min(width - 1, x + offset));
+                const blueX = Math.max(0, Math.min(width - 1, x - offset));
+                const i = (row + x) * 4;
+
+                data[i] = source[(row + redX) * 4];
+                data[i + 2] = source[(row + blueX) * 4 + 2];
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // endregion
+}
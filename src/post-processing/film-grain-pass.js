@@ -0,0 +1,76 @@
+import {PostProcessPass} from './post-process-pass.js';
+
+/**
+ * Adds random noise that changes every frame, like the grain of film.
+ */
+export class FilmGrainPass extends PostProcessPass {
+    // region Fields
+
+    #intensity;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new FilmGrainPass.
+     * @param {number} [intensity] - How strong the grain is (0-1, the most a pixel can brighten or darken as a
+     *   fraction of full brightness, default 0.1).
+     */
+    constructor(intensity = 0.1) {
+        super();
+        this.#intensity = intensity;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets how strong the grain is.
+     * @returns {number} The intensity (0-1).
+     */
+    get intensity() {
+        return this.#intensity;
+    }
+
+    /**
+     * Sets how strong the grain is.
+     * @param {number} value - The intensity (0-1).
+     */
+    set intensity(value) {
+        this.#intensity = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Adds the grain to the frame.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{width: number, height: number}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        const {width, height} = frame;
+
+        if (this.#intensity <= 0 || width === 0 || height === 0)
+            return;
+
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+        const amount = this.#intensity * 255;
+
+        // The same noise on every channel, so the grain brightens and darkens without tinting
+        for (let i = 0; i < data.length; i += 4) {
+            const noise = (Math.random() * 2 - 1) * amount;
+            data[i] += noise;
+            data[i + 1] += noise;
+            data[i + 2] += noise;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // endregion
+}
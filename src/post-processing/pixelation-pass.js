@@ -0,0 +1,84 @@
+import {PostProcessPass} from './post-process-pass.js';
+
+/**
+ * Redraws the frame at a lower resolution with hard-edged pixels, like a retro game.
+ */
+export class PixelationPass extends PostProcessPass {
+    // region Fields
+
+    #pixelSize;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new PixelationPass.
+     * @param {number} [pixelSize] - The size of each pixel block in screen pixels (default 4).
+     */
+    constructor(pixelSize = 4) {
+        super();
+        this.#pixelSize = pixelSize;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the size of each pixel block.
+     * @returns {number} The size in screen pixels.
+     */
+    get pixelSize() {
+        return this.#pixelSize;
+    }
+
+    /**
+     * Sets the size of each pixel block.
+     * @param {number} value - The size in screen pixels (1 or less leaves the frame unchanged).
+     */
+    set pixelSize(value) {
+        this.#pixelSize = value;
+    }
+
+    /**
+     * Gets whether the pass reads frame.source, which it shrinks to pixelate.
+     * @returns {boolean} Always true.
+     */
+    get needsSource() {
+        return true;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Redraws the frame pixelated.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{source: HTMLCanvasElement, width: number, height: number}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        if (this.#pixelSize <= 1)
+            return;
+
+        const {source, width, height} = frame;
+        const smallWidth = Math.max(1, Math.ceil(width / this.#pixelSize));
+        const smallHeight = Math.max(1, Math.ceil(height / this.#pixelSize));
+
+        // Shrink with smoothing so each block is the average of what it covers
+        const small = this.getOffscreenCanvas(smallWidth, smallHeight);
+        const smallCtx = small.getContext('2d');
+        smallCtx.clearRect(0, 0, smallWidth, smallHeight);
+        smallCtx.drawImage(source, 0, 0, smallWidth, smallHeight);
+
+        // Then grow without smoothing so the blocks keep hard edges
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(small, 0, 0, smallWidth * this.#pixelSize, smallHeight * this.#pixelSize);
+        ctx.restore();
+    }
+
+    // endregion
+}
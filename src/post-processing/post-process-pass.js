@@ -0,0 +1,78 @@
+/**
+ * Base class for post-processing passes, which the Renderer applies in order to each finished frame
+ * (see Engine.postProcessPasses). Passes draw onto the main canvas, on top of or in place of the frame so far.
+ */
+export class PostProcessPass {
+    // region Fields
+
+    #isEnabled = true;
+    #offscreenCanvas = null;
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets whether the pass is applied.
+     * @returns {boolean} True if the pass is applied.
+     */
+    get isEnabled() {
+        return this.#isEnabled;
+    }
+
+    /**
+     * Sets whether the pass is applied, so it can be turned off without changing the order of the others.
+     * @param {boolean} enabled - Whether the pass is applied.
+     */
+    set isEnabled(enabled) {
+        this.#isEnabled = enabled;
+    }
+
+    /**
+     * Gets whether the pass reads frame.source. Copying the frame for it takes time, so passes that only draw on
+     * top of the frame or read it back from ctx leave this false (the default) and get a null source.
+     * @returns {boolean} True if the pass needs a copy of the frame.
+     */
+    get needsSource() {
+        return false;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Draws the effect.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context, holding the frame as the passes before this
+     *   one left it.
+     * @param {{source: HTMLCanvasElement|null, bloomCanvas: HTMLCanvasElement|null, bloom: {blur: number,
+     *   passes: number}, width: number, height: number, time: number}} frame - A copy of the main canvas from
+     *   before this pass (to redraw the frame changed, null unless needsSource), the glowing edges (null if nothing
+     *   glows), the global bloom settings, the canvas size in pixels, and the frame time in milliseconds (e.g. to
+     *   animate effects).
+     */
+    apply(ctx, frame) {
+        throw new Error('PostProcessPass subclasses must implement apply');
+    }
+
+    /**
+     * Gets a canvas that belongs to this pass, for subclasses that need to draw somewhere before the main canvas.
+     * The same canvas is returned every frame, resized (and so cleared) when the size changes.
+     * @param {number} width - The width in pixels.
+     * @param {number} height - The height in pixels.
+     * @returns {HTMLCanvasElement} The offscreen canvas.
+     */
+    getOffscreenCanvas(width, height) {
+        if (!this.#offscreenCanvas)
+            this.#offscreenCanvas = document.createElement('canvas');
+
+        if (this.#offscreenCanvas.width !== width || this.#offscreenCanvas.height !== height) {
+            this.#offscreenCanvas.width = width;
+            this.#offscreenCanvas.height = height;
+        }
+
+        return this.#offscreenCanvas;
+    }
+
+    // endregion
+}
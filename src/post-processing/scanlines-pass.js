@@ -0,0 +1,140 @@
+import {PostProcessPass} from './post-process-pass.js';
+import {Color} from '../rendering/color.js';
+
+/**
+ * Darkens evenly spaced horizontal lines, like the scanlines of a CRT screen.
+ */
+export class ScanlinesPass extends PostProcessPass {
+    // region Fields
+
+    #spacing;
+    #lineWidth;
+    #opacity;
+    #color;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new ScanlinesPass.
+     * @param {number} [spacing] - Pixels from the top of one line to the top of the next (default 3).
+     * @param {number} [lineWidth] - Line thickness in pixels (default 1).
+     * @param {number} [opacity] - How strongly the lines cover the frame (0-1, default 0.3).
+     * @param {string} [color] - The line color (default '#000000').
+     * @throws {Error} If a setting is out of range (see the setters).
+     */
+    constructor(spacing = 3, lineWidth = 1, opacity = 0.3, color = '#000000') {
+        super();
+        this.spacing = spacing;
+        this.lineWidth = lineWidth;
+        this.opacity = opacity;
+        this.color = color;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the distance between lines.
+     * @returns {number} Pixels from the top of one line to the top of the next.
+     */
+    get spacing() {
+        return this.#spacing;
+    }
+
+    /**
+     * Sets the distance between lines.
+     * @param {number} value - Pixels from the top of one line to the top of the next (at least 1).
+     * @throws {Error} If the spacing is below 1 or not a number.
+     */
+    set spacing(value) {
+        if (!Number.isFinite(value) || value < 1)
+            throw new Error(`Unsupported scanline spacing: ${value}`);
+
+        this.#spacing = value;
+    }
+
+    /**
+     * Gets the line thickness.
+     * @returns {number} The thickness in pixels.
+     */
+    get lineWidth() {
+        return this.#lineWidth;
+    }
+
+    /**
+     * Sets the line thickness.
+     * @param {number} value - The thickness in pixels.
+     * @throws {Error} If the thickness is negative or not a number.
+     */
+    set lineWidth(value) {
+        if (!Number.isFinite(value) || value < 0)
+            throw new Error(`Unsupported scanline width: ${value}`);
+
+        this.#lineWidth = value;
+    }
+
+    /**
+     * Gets how strongly the lines cover the frame.
+     * @returns {number} The opacity (0-1).
+     */
+    get opacity() {
+        return this.#opacity;
+    }
+
+    /**
+     * Sets how strongly the lines cover the frame.
+     * @param {number} value - The opacity (0-1).
+     * @throws {Error} If the opacity isn't a number from 0 to 1.
+     */
+    set opacity(value) {
+        if (!Number.isFinite(value) || value < 0 || value > 1)
+            throw new Error(`Unsupported scanline opacity: ${value}`);
+
+        this.#opacity = value;
+    }
+
+    /**
+     * Gets the line color.
+     * @returns {string} The line color (hex string or CSS color).
+     */
+    get color() {
+        return this.#color;
+    }
+
+    /**
+     * Sets the line color.
+     * @param {string} value - The line color (hex string or CSS color).
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set color(value) {
+        Color.validate(value);
+        this.#color = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Draws the scanlines over the frame.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{width: number, height: number}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        ctx.save();
+        ctx.globalAlpha = this.#opacity;
+        ctx.fillStyle = this.#color;
+        ctx.beginPath();
+
+        for (let y = 0; y < frame.height; y += this.#spacing)
+            ctx.rect(0, y, frame.width, this.#lineWidth);
+
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // endregion
+}
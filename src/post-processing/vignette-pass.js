@@ -0,0 +1,115 @@
+import {PostProcessPass} from './post-process-pass.js';
+import {ColorUtils} from '../rendering/color-utils.js';
+import {Color} from '../rendering/color.js';
+
+/**
+ * Darkens the frame toward its corners.
+ */
+export class VignettePass extends PostProcessPass {
+    // region Fields
+
+    #strength;
+    #radius;
+    #color;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new VignettePass.
+     * @param {number} [strength] - How strongly the corners are covered (0-1, default 0.6).
+     * @param {number} [radius] - Where the darkening starts, as a fraction of the distance from the center to the
+     *   corners (0-1, default 0.5).
+     * @param {string} [color] - The color the corners fade to (default '#000000').
+     */
+    constructor(strength = 0.6, radius = 0.5, color = '#000000') {
+        super();
+        this.#strength = strength;
+        this.#radius = radius;
+        this.color = color;
+    }
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets how strongly the corners are covered.
+     * @returns {number} The strength (0-1).
+     */
+    get strength() {
+        return this.#strength;
+    }
+
+    /**
+     * Sets how strongly the corners are covered.
+     * @param {number} value - The strength (0-1).
+     */
+    set strength(value) {
+        this.#strength = value;
+    }
+
+    /**
+     * Gets where the darkening starts.
+     * @returns {number} The fraction of the distance from the center to the corners (0-1).
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Sets where the darkening starts.
+     * @param {number} value - The fraction of the distance from the center to the corners (0-1).
+     */
+    set radius(value) {
+        this.#radius = value;
+    }
+
+    /**
+     * Gets the color the corners fade to.
+     * @returns {string} The color (hex string or CSS color).
+     */
+    get color() {
+        return this.#color;
+    }
+
+    /**
+     * Sets the color the corners fade to.
+     * @param {string} value - The color (hex string or CSS color).
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set color(value) {
+        Color.validate(value);
+        this.#color = value;
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Draws the vignette over the frame.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     * @param {{width: number, height: number}} frame - The frame.
+     */
+    apply(ctx, frame) {
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const cornerDistance = Math.hypot(centerX, centerY);
+
+        const gradient = ctx.createRadialGradient(
+            centerX, centerY, cornerDistance * Math.max(0, Math.min(1, this.#radius)),
+            centerX, centerY, cornerDistance
+        );
+        gradient.addColorStop(0, ColorUtils.applyOpacity(this.#color, 0));
+        gradient.addColorStop(1, ColorUtils.applyOpacity(this.#color, this.#strength));
+
+        ctx.save();
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, frame.width, frame.height);
+        ctx.restore();
+    }
+
+    // endregion
+}
@@ -0,0 +1,250 @@
+import {Vector3} from '../math/vector3.js';
+import {PolygonClipper} from './polygon-clipper.js';
+
+/** Smallest distance from a plane within which a vertex counts as lying on it (also the smallest polygon area). */
+const PLANE_EPSILON = 1e-6;
+
+/**
+ * How far a vertex can be from a polygon's plane and still count as lying on it, as a fraction of the polygon's
+ * size. Keeps slightly non-planar faces (e.g. quads from OBJ files) from being split by each other's planes.
+ */
+const PLANE_TOLERANCE = 1e-3;
+
+/** How many polygons are tried as the splitting plane of each node (more means fewer splits but a slower build). */
+const SPLITTER_CANDIDATES = 8;
+
+/**
+ * Binary space partitioning tree of camera space polygons, used to draw faces back-to-front without the
+ * ordering errors of sorting by average depth. Polygons that straddle another polygon's plane are split.
+ *
+ * Polygons are given as {positions, edgeSources, source}. Split pieces keep the same source, and edgeSources[i]
+ * (for the edge from positions[i] to positions[i + 1]) is the index of the original polygon's edge it lies on,
+ * or -1 for edges created by a split. edgeSources can be null when the polygon's edges are its original ones.
+ * Polygons can also carry per-vertex attributes (lists of numbers, e.g. colors) that are interpolated at split
+ * points, or null attributes.
+ */
+export class BspTree {
+    // region Fields
+
+    #root;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Builds a BSP tree.
+     * @param {{positions: Vector3[], edgeSources: number[]|null, attributes: number[][]|null, source: *}[]} polygons
+     *   - Convex polygons in camera space (camera at the origin looking down +Z).
+     */
+    constructor(polygons) {
+        this.#root = BspTree.#buildNode(polygons);
+    }
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Gets the polygons (including split pieces) ordered so that drawing them in order hides the far ones.
+     * @param {boolean} [isOrthographic] - Whether the view rays are parallel (+Z) instead of from the origin.
+     * @returns {{positions: Vector3[], edgeSources: number[]|null, attributes: number[][]|null, source: *}[]} The
+     *   polygons back-to-front.
+     */
+    getBackToFront(isOrthographic = false) {
+        const ordered = [];
+        BspTree.#collectBackToFront(this.#root, isOrthographic, ordered);
+        return ordered;
+    }
+
+    // endregion
+
+    // region Helper Methods
+
+    /** @private */
+    static #buildNode(polygons) {
+        if (polygons.length === 0)
+            return null;
+
+        const plane = BspTree.#getSplittingPlane(polygons);
+
+        // Lines and points have no plane to split with, so they can only be drawn in any order
+        if (plane === null)
+            return {plane: null, coplanar: polygons, front: null, back: null};
+
+        const coplanar = [];
+        const front = [];
+        const back = [];
+
+        for (const polygon of polygons) {
+            const {hasFront, hasBack} = BspTree.#classify(polygon, plane);
+
+            if (hasFront && hasBack) {
+                front.push(...BspTree.#getClippedPolygon(polygon, plane));
+                back.push(...BspTree.#getClippedPolygon(polygon, BspTree.#getFlippedPlane(plane)));
+            } else if (hasFront) {
+                front.push(polygon);
+            } else if (hasBack) {
+                back.push(polygon);
+            } else {
+                coplanar.push(polygon);
+            }
+        }
+
+        return {
+            plane,
+            coplanar,
+            front: BspTree.#buildNode(front),
+            back: BspTree.#buildNode(back)
+        };
+    }
+
+    /**
+     * Picks the plane of one of a few evenly spaced polygons, whichever splits the fewest others.
+     * @returns {{normal: Vector3, constant: number}|null} The plane, or null if no polygon has an area.
+     * @private
+     */
+    static #getSplittingPlane(polygons) {
+        const step = Math.max(1, Math.floor(polygons.length / SPLITTER_CANDIDATES));
+        let bestPlane = null;
+        let bestSplitCount = Infinity;
+
+        for (let i = 0; i < polygons.length && bestSplitCount > 0; i += step) {
+            const plane = BspTree.#getPlane(polygons[i].positions);
+
+            if (plane === null)
+                continue;
+
+            let splitCount = 0;
+            for (const polygon of polygons) {
+                const {hasFront, hasBack} = BspTree.#classify(polygon, plane);
+
+                if (hasFront && hasBack && ++splitCount >= bestSplitCount)
+                    break;
+            }
+
+            if (splitCount < bestSplitCount) {
+                bestPlane = plane;
+                bestSplitCount = splitCount;
+            }
+        }
+
+        // Every candidate was degenerate, but another polygon may still have a plane
+        if (bestPlane === null) {
+            for (const polygon of polygons) {
+                const plane = BspTree.#getPlane(polygon.positions);
+                if (plane !== null)
+                    return plane;
+            }
+        }
+
+        return bestPlane;
+    }
+
+    /**
+     * Checks which sides of a plane a polygon has vertices on.
+     * @returns {{hasFront: boolean, hasBack: boolean}} Both false if the polygon lies on the plane.
+     * @private
+     */
+    static #classify(polygon, plane) {
+        let hasFront = false;
+        let hasBack = false;
+
+        for (const position of polygon.positions) {
+            const distance = plane.normal.getDot(position) + plane.constant;
+
+            if (distance > plane.epsilon)
+                hasFront = true;
+            else if (distance < -plane.epsilon)
+                hasBack = true;
+        }
+
+        return {hasFront, hasBack};
+    }
+
+    /** @private */
+    static #collectBackToFront(node, isOrthographic, ordered) {
+        if (node === null)
+            return;
+
+        if (node.plane === null) {
+            ordered.push(...node.coplanar);
+            return;
+        }
+
+        // Orthographic viewers are infinitely far back along -Z, so only the plane's facing matters
+        const viewerSide = isOrthographic ? -node.plane.normal.z : node.plane.constant;
+        const [far, near] = viewerSide >= 0 ? [node.back, node.front] : [node.front, node.back];
+
+        BspTree.#collectBackToFront(far, isOrthographic, ordered);
+        ordered.push(...node.coplanar);
+        BspTree.#collectBackToFront(near, isOrthographic, ordered);
+    }
+
+    /**
+     * Keeps the part of a polygon in front of a plane.
+     * @returns {{positions: Vector3[], edgeSources: number[], attributes: number[][]|null, source: *}[]} The
+     *   piece, or none if it's too small.
+     * @private
+     */
+    static #getClippedPolygon(polygon, plane) {
+        const {vertices, attributes, edgeSources} = PolygonClipper.clip(polygon.positions, [plane], polygon.attributes);
+
+        if (vertices.length < 3)
+            return [];
+
+        return [{
+            positions: vertices,
+            edgeSources: edgeSources.map(source =>
+                source === -1 || polygon.edgeSources === null ? source : polygon.edgeSources[source]
+            ),
+            attributes,
+            source: polygon.source
+        }];
+    }
+
+    /**
+     * Gets the plane a polygon lies on using Newell's method (robust when some vertices are collinear).
+     * @returns {{normal: Vector3, constant: number, epsilon: number}|null} The plane, with how far from it a
+     *   vertex still counts as on it (relative to the polygon's size), or null if the polygon has no area.
+     * @private
+     */
+    static #getPlane(positions) {
+        let x = 0, y = 0, z = 0;
+        let centerX = 0, centerY = 0, centerZ = 0;
+
+        for (let i = 0; i < positions.length; i++) {
+            const current = positions[i];
+            const next = positions[(i + 1) % positions.length];
+
+            x += (current.y - next.y) * (current.z + next.z);
+            y += (current.z - next.z) * (current.x + next.x);
+            z += (current.x - next.x) * (current.y + next.y);
+            centerX += current.x;
+            centerY += current.y;
+            centerZ += current.z;
+        }
+
+        const length = Math.hypot(x, y, z);
+
+        if (length < PLANE_EPSILON)
+            return null;
+
+        const normal = new Vector3(x / length, y / length, z / length);
+        const center = new Vector3(centerX, centerY, centerZ).getScaled(1 / positions.length);
+        const radius = Math.max(...positions.map(p => p.getDifference(center).getMagnitude()));
+
+        return {
+            normal,
+            constant: -normal.getDot(center),
+            epsilon: Math.max(PLANE_EPSILON, radius * PLANE_TOLERANCE)
+        };
+    }
+
+    /** @private */
+    static #getFlippedPlane(plane) {
+        return {normal: plane.normal.getScaled(-1), constant: -plane.constant, epsilon: plane.epsilon};
+    }
+
+    // endregion
+}
@@ -1,7 +1,11 @@
 import {Vector2} from '../math/vector2.js';
 import {Vector3} from '../math/vector3.js';
 import {Transform} from '../math/transform.js';
+import {Matrix4} from '../math/matrix4.js';
+import {Ray} from '../math/ray.js';
 import {ProjectedFace} from './projected-face.js';
+import {PolygonClipper} from './polygon-clipper.js';
+import {ColorUtils} from './color-utils.js';
 
 /**
  * Projects 3D scene coordinates to 2D screen coordinates.
@@ -14,7 +18,16 @@ export class Camera {
     #transform;
     #isBackFaceCulling;
     #fov;
-    #focalLength;
+    #isOrthographic = false;
+    #orthographicHeight = 10;
+    #nearClip = 0.1;
+    #farClip = 1000;
+    #isFrustumClipping = false;
+    #clipPlanes;
+    #frustumPlanes;
+    #projectionMatrix;
+    #viewMatrix = null;
+    #viewMatrixSource = null;
 
     // endregion
 
@@ -41,6 +54,76 @@ export class Camera {
         return this.#transform;
     }
 
+    /**
+     * Gets the view matrix that converts world space to camera space.
+     * Camera space has the camera at the origin looking down +Z with +Y up. Camera scale is ignored.
+     * @returns {Matrix4} The view matrix.
+     */
+    get viewMatrix() {
+        const worldMatrix = this.#transform.worldMatrix;
+
+        // Only rebuild when the camera transform has changed
+        if (worldMatrix !== this.#viewMatrixSource) {
+            const {position, rotation} = worldMatrix.decompose();
+            this.#viewMatrix = Matrix4.compose(position, rotation, Vector3.one()).getInverted();
+            this.#viewMatrixSource = worldMatrix;
+        }
+
+        return this.#viewMatrix;
+    }
+
+    /**
+     * Gets the projection matrix that converts camera space to normalized device coordinates.
+     * @returns {Matrix4} The projection matrix.
+     */
+    get projectionMatrix() {
+        return this.#projectionMatrix;
+    }
+
+    /**
+     * Gets the vertical field of view.
+     * @returns {number} The field of view in degrees.
+     */
+    get fov() {
+        return this.#fov;
+    }
+
+    /**
+     * Gets whether the camera uses an orthographic projection instead of perspective.
+     * @returns {boolean} True if orthographic.
+     */
+    get isOrthographic() {
+        return this.#isOrthographic;
+    }
+
+    /**
+     * Switches between perspective (default) and orthographic projection. Can be changed at any time.
+     * Orthographic projection has no foreshortening, which suits isometric views and technical diagrams.
+     * @param {boolean} [enabled] - Sets state directly.
+     */
+    set isOrthographic(enabled) {
+        this.#isOrthographic = enabled;
+        this.#updateProjectionMatrix();
+    }
+
+    /**
+     * Gets the height of the area visible with orthographic projection.
+     * @returns {number} The view height in world units.
+     */
+    get orthographicHeight() {
+        return this.#orthographicHeight;
+    }
+
+    /**
+     * Sets the height of the area visible with orthographic projection (10 by default). Smaller values zoom in.
+     * The visible width follows the screen's aspect ratio.
+     * @param {number} height - The view height in world units.
+     */
+    set orthographicHeight(height) {
+        this.#orthographicHeight = height;
+        this.#updateProjectionMatrix();
+    }
+
     /**
      * Gets whether back-face culling is enabled.
      * @returns {boolean} True if back-face culling is enabled.
@@ -58,6 +141,65 @@ export class Camera {
         this.#isBackFaceCulling = enabled;
     }
 
+    /**
+     * Gets the near clipping distance.
+     * @returns {number} The distance in front of the camera where geometry starts being visible.
+     */
+    get nearClip() {
+        return this.#nearClip;
+    }
+
+    /**
+     * Sets the near clipping distance (0.1 by default). Faces crossing it are cut off instead of disappearing.
+     * @param {number} distance - A distance greater than 0.
+     * @throws {Error} If the distance isn't a number greater than 0.
+     */
+    set nearClip(distance) {
+        if (!Number.isFinite(distance) || distance <= 0)
+            throw new Error(`Unsupported near clip distance: ${distance}`);
+
+        this.#nearClip = distance;
+        this.#updateProjectionMatrix();
+    }
+
+    /**
+     * Gets the far clipping distance.
+     * @returns {number} The distance beyond which geometry is clipped and culled (only with frustum clipping).
+     */
+    get farClip() {
+        return this.#farClip;
+    }
+
+    /**
+     * Sets the far clipping distance (1000 by default). Only applies when frustum clipping is enabled: faces are
+     * then cut off at it and frustum culling skips objects entirely beyond it. Otherwise nothing is hidden by
+     * distance.
+     * @param {number} distance - A distance greater than the near clipping distance.
+     */
+    set farClip(distance) {
+        this.#farClip = distance;
+        this.#updateProjectionMatrix();
+    }
+
+    /**
+     * Gets whether faces are clipped against all frustum planes instead of only the near plane.
+     * @returns {boolean} True if frustum clipping is enabled.
+     */
+    get isFrustumClipping() {
+        return this.#isFrustumClipping;
+    }
+
+    /**
+     * Toggles clipping against the left, right, top, bottom, and far planes (off by default).
+     * Faces are always clipped against the near plane. Clipping the other planes keeps screen coordinates small
+     * for huge faces at the cost of extra work per face. Frustum culling only uses the far plane when this is on.
+     * @param {boolean} [enabled] - Sets state directly.
+     */
+    set isFrustumClipping(enabled) {
+        this.#isFrustumClipping = enabled;
+        this.#updateProjectionMatrix();
+    }
+
     // endregion
 
     // region Setter Methods
@@ -69,9 +211,7 @@ export class Camera {
     setFov(fov) {
         /** @type {number} */
         this.#fov = fov;
-        const fovRadians = (fov * Math.PI) / 180;
-        /** @type {number} */
-        this.#focalLength = 1 / Math.tan(fovRadians / 2);
+        this.#updateProjectionMatrix();
     }
 
     /**
@@ -81,62 +221,199 @@ export class Camera {
     setScreenSize(newScreenSize) {
         this.#screenSize = newScreenSize;
         this.#aspectRatio = newScreenSize.x / newScreenSize.y;
+        this.#updateProjectionMatrix();
+    }
+
+    /**
+     * Rotates the camera to look at a world space position.
+     * @param {Vector3} target - The world space position to look at.
+     * @param {Vector3} [up] - The world up direction used to keep the camera level (default Vector3.up()).
+     */
+    lookAt(target, up = Vector3.up()) {
+        this.#transform.lookAt(target, up);
     }
 
     // endregion
 
     // region Public Methods
 
+    /**
+     * Creates a world space ray that passes through a point on the screen, e.g. to find what's under the mouse.
+     * The ray starts on the near plane, so hit distances are measured from there rather than from the camera.
+     * @param {Vector2} screenPoint - The point in canvas pixels, with (0, 0) at the top left corner.
+     * @returns {Ray} A new ray pointing into the scene.
+     */
+    screenPointToRay(screenPoint) {
+        // Undo #getScaledScreenPosition to get back to normalized device coordinates
+        const ndcX = (screenPoint.x / this.#screenSize.x) * 2 - 1;
+        const ndcY = 1 - (screenPoint.y / this.#screenSize.y) * 2;
+
+        // The projection maps the near plane to z = -1 and the far plane to z = 1, in either projection mode
+        const clipToWorld = this.viewMatrix.getInverted().getMultiplied(this.#projectionMatrix.getInverted());
+        const nearPoint = clipToWorld.transformPoint(new Vector3(ndcX, ndcY, -1));
+        const farPoint = clipToWorld.transformPoint(new Vector3(ndcX, ndcY, 1));
+
+        return new Ray(nearPoint, farPoint.getDifference(nearPoint));
+    }
+
+    /**
+     * Projects a camera space point (e.g. from ProjectedFace.cameraSpacePositions) to screen coordinates.
+     * @param {Vector3} cameraSpacePoint - The point, which must be in front of the near plane.
+     * @returns {Vector2} The position in canvas pixels.
+     */
+    projectToScreen(cameraSpacePoint) {
+        return this.#getScaledScreenPosition(this.#getNormalizedScreenPosition(cameraSpacePoint));
+    }
+
+    /**
+     * Checks whether any part of a scene object's bounds is inside the view frustum.
+     * Tests the mesh's bounding sphere first and only falls back to the bounding box corners when the sphere
+     * straddles a plane. May return true for objects that are just outside (bounds are conservative).
+     * @param {SceneObject} sceneObject - The scene object to test.
+     * @returns {boolean} True if the object may be visible, false if it's definitely outside.
+     */
+    isSceneObjectInFrustum(sceneObject) {
+        const modelViewMatrix = this.viewMatrix.getMultiplied(sceneObject.transform.worldMatrix);
+        const {center, radius} = sceneObject.mesh.boundingSphere;
+        const cameraSpaceCenter = modelViewMatrix.transformPoint(center);
+        const cameraSpaceRadius = radius * modelViewMatrix.getMaxScale();
+
+        let isStraddling = false;
+
+        for (const plane of this.#frustumPlanes) {
+            const distance = plane.normal.getDot(cameraSpaceCenter) + plane.constant;
+
+            if (distance < -cameraSpaceRadius)
+                return false;
+
+            if (distance < cameraSpaceRadius)
+                isStraddling = true;
+        }
+
+        if (!isStraddling)
+            return true;
+
+        // The sphere can be much larger than the mesh, so check whether every box corner is outside one plane
+        const {min, max} = sceneObject.mesh.boundingBox;
+        const corners = [];
+
+        for (const x of [min.x, max.x])
+            for (const y of [min.y, max.y])
+                for (const z of [min.z, max.z])
+                    corners.push(modelViewMatrix.transformPoint(new Vector3(x, y, z)));
+
+        for (const plane of this.#frustumPlanes) {
+            if (corners.every(c => plane.normal.getDot(c) + plane.constant < 0))
+                return false;
+        }
+
+        return true;
+    }
+
     /**
      * Projects all faces of a scene object to screen coordinates.
      * @param {SceneObject} sceneObject - The scene object to project.
+     * @param {Light[]} [lights] - The lights that shade face colors if the material has a lit shading mode.
      * @returns {ProjectedFace[]} Array of projected faces with screen positions and depth.
      */
-    projectSceneObject(sceneObject) {
-        const worldVertices = sceneObject.getTransformedVertices();
+    projectSceneObject(sceneObject, lights = []) {
+        // Combine object → world → camera into one matrix so each vertex needs a single multiply
+        const modelViewMatrix = this.viewMatrix.getMultiplied(sceneObject.transform.worldMatrix);
 
         // Transform all vertices to camera space once (avoids duplicate transforms)
-        const cameraSpaceVertices = worldVertices.map(v => this.#worldToCameraSpace(v));
+        const cameraSpaceVertices = sceneObject.mesh.vertices.map(v => modelViewMatrix.transformPoint(v));
+
+        // Project all vertices straight from object space with one combined model-view-projection multiply each.
+        // Camera space is still needed above for clipping, depth, and shading, and vertices clipping creates are
+        // projected from camera space below. Vertices behind the camera get meaningless positions, but every face
+        // using one is clipped.
+        const modelViewProjectionMatrix = this.#projectionMatrix.getMultiplied(modelViewMatrix);
+        const screenSpaceVertices = sceneObject.mesh.vertices.map(v =>
+            this.#getScaledScreenPosition(modelViewProjectionMatrix.transformPoint(v))
+        );
 
         const projectedFaces = [];
 
+        const {faceIndices: faces, faceColors, vertexColors} = sceneObject.mesh;
+        const material = sceneObject.material;
+
+        // Silhouettes need the facing of every face, including the ones about to be culled
+        const isFaceBackFacing = this.#isBackFaceCulling || material.isSilhouetteEdges
+            ? faces.map(face => face.length >= 3 && this.#isBackFacing(face.map(idx => cameraSpaceVertices[idx])))
+            : null;
+        const isMeshEdgeDrawn = Camera.#getDrawnMeshEdges(
+            sceneObject.mesh, material, isFaceBackFacing, modelViewMatrix, cameraSpaceVertices
+        );
+
+        // Lights are in world space, so shaded faces are brought back there from camera space
+        const isShaded = material.shadingMode === 'lambert';
+        const cameraToWorldMatrix = isShaded ? this.viewMatrix.getInverted() : null;
+
         // Map vertices to their associated face indices
-        for (const face of sceneObject.mesh.faceIndices) {
+        for (let faceIndex = 0; faceIndex < faces.length; faceIndex++) {
+            const face = faces[faceIndex];
             const faceCameraVertices = face.map(idx => cameraSpaceVertices[idx]);
 
             // Back-face culling: skip faces pointing away from the camera
-            if (this.#isBackFaceCulling && faceCameraVertices.length >= 3 && this.#isBackFacing(faceCameraVertices))
+            if (this.#isBackFaceCulling && isFaceBackFacing[faceIndex])
                 continue;
 
-            // Project vertices and calculate average depth
-            let depthSum = 0;
-            const screenPositions = [];
-            let isValid = true;
-
-            for (const cameraSpacePos of faceCameraVertices) {
-                depthSum += cameraSpacePos.z;
+            // Cut away the parts of the face outside the clip planes (skips the work when nothing is outside)
+            let clippedVertices = faceCameraVertices;
+            let isClipped = false;
+            let edgeSources = null;
+            let clippedVertexColors = vertexColors ? face.map(idx => vertexColors[idx]) : null;
+
+            if (!PolygonClipper.isInside(faceCameraVertices, this.#clipPlanes)) {
+                // Vertex colors are interpolated at the new vertices along with their positions
+                const clipped = PolygonClipper.clip(
+                    faceCameraVertices,
+                    this.#clipPlanes,
+                    clippedVertexColors ? ColorUtils.hexToAttributes(clippedVertexColors) : null
+                );
 
-                const normScreenPos = this.#getNormalizedScreenPosition(cameraSpacePos);
-                if (normScreenPos === null) {
-                    isValid = false;
-                    break;
-                }
+                clippedVertices = clipped.vertices;
+                isClipped = true;
+                edgeSources = clipped.edgeSources;
 
-                screenPositions.push(
-                    this.#getScaledScreenPosition(normScreenPos)
-                );
+                if (clippedVertexColors)
+                    clippedVertexColors = ColorUtils.attributesToHex(clipped.attributes);
             }
 
-            if (!isValid)
+            if (clippedVertices.length < Math.min(3, faceCameraVertices.length))
                 continue;
 
-            const averageDepth = depthSum / faceCameraVertices.length;
+            // Project vertices and calculate average depth of the visible part
+            let depthSum = 0;
+            const screenPositions = isClipped
+                ? clippedVertices.map(p => this.#getScaledScreenPosition(this.#getNormalizedScreenPosition(p)))
+                : face.map(idx => screenSpaceVertices[idx]);
+            const vertexDepths = [];
+
+            for (const cameraSpacePos of clippedVertices) {
+                depthSum += cameraSpacePos.z;
+                vertexDepths.push(cameraSpacePos.z);
+            }
+
+            const averageDepth = depthSum / clippedVertices.length;
+            const baseFaceColor = (faceColors && faceColors[faceIndex]) || material.faceColor;
+            const faceColor = isShaded && baseFaceColor !== null
+                ? Camera.#getLambertColor(baseFaceColor, faceCameraVertices, cameraToWorldMatrix, lights)
+                : baseFaceColor;
+
             projectedFaces.push(new ProjectedFace(
                 screenPositions,
                 averageDepth,
-                sceneObject.material.edgeColor,
-                sceneObject.material.edgeGradientColor,
-                sceneObject.material.faceColor
+                material.edgeColor,
+                material.edgeGradientColor,
+                faceColor,
+                sceneObject,
+                faceIndex,
+                vertexDepths,
+                clippedVertices,
+                edgeSources,
+                isMeshEdgeDrawn,
+                clippedVertexColors
             ));
         }
 
@@ -164,12 +441,163 @@ export class Camera {
         const edge2 = v2.getDifference(v0);
         const normal = edge1.getCross(edge2);
 
+        // With orthographic projection every view ray points down +Z, so only the normal's Z matters
+        if (this.#isOrthographic)
+            return normal.z > 0;
+
         // In camera space, camera is at origin. The view direction from v0 to camera is -v0.
         // Front-facing: normal · (-v0) > 0, meaning normal · v0 < 0
         // Back-facing: normal · v0 > 0
         return normal.getDot(v0) > 0;
     }
 
+    /**
+     * Picks the mesh edges a material's edge filters keep: silhouettes (between a front-facing and a back-facing
+     * face) and creases (faces meeting at more than the crease angle). Boundary edges are always kept.
+     * @param {Mesh} mesh - The mesh.
+     * @param {Material} material - The material with the edge filters.
+     * @param {boolean[]|null} isFaceBackFacing - Whether each face points away from the camera.
+     * @param {Matrix4} modelViewMatrix - Converts the mesh's local space to camera space.
+     * @param {Vector3[]} cameraSpaceVertices - The mesh's vertices in camera space.
+     * @returns {boolean[]|null} Whether each mesh edge is drawn, or null if the material draws every edge.
+     * @private
+     */
+    static #getDrawnMeshEdges(mesh, material, isFaceBackFacing, modelViewMatrix, cameraSpaceVertices) {
+        const {isSilhouetteEdges, creaseAngle} = material;
+
+        if (!isSilhouetteEdges && creaseAngle === null)
+            return null;
+
+        // Non-uniform scale bends the angles between faces, so the cached local space angles only fit without it
+        const edgeAngles = creaseAngle === null || modelViewMatrix.hasUniformScale()
+            ? mesh.edgeAngles
+            : mesh.getEdgeAngles(cameraSpaceVertices);
+
+        return mesh.edges.map(({faceIndices}, edgeIndex) => {
+            if (edgeAngles[edgeIndex] === null)
+                return true;
+
+            if (isSilhouetteEdges && isFaceBackFacing[faceIndices[0]] !== isFaceBackFacing[faceIndices[1]])
+                return true;
+
+            return creaseAngle !== null && edgeAngles[edgeIndex] > creaseAngle;
+        });
+    }
+
+    /**
+     * Flat shades a face: scales its color by the light reaching the face's center from every light.
+     * Uses the whole face (before clipping), so the shade doesn't change as the face moves off screen.
+     * @param {string} color - The unlit face color (hex string).
+     * @param {Vector3[]} cameraSpaceVertices - The face's vertices in camera space.
+     * @param {Matrix4} cameraToWorldMatrix - Converts camera space to world space.
+     * @param {Light[]} lights - The lights.
+     * @returns {string} The shaded color (hex string).
+     * @private
+     */
+    static #getLambertColor(color, cameraSpaceVertices, cameraToWorldMatrix, lights) {
+        let normalX = 0, normalY = 0, normalZ = 0;
+        let centerX = 0, centerY = 0, centerZ = 0;
+
+        // Newell's method, so faces with a few collinear vertices still get the right normal
+        for (let i = 0; i < cameraSpaceVertices.length; i++) {
+            const current = cameraSpaceVertices[i];
+            const next = cameraSpaceVertices[(i + 1) % cameraSpaceVertices.length];
+
+            normalX += (current.y - next.y) * (current.z + next.z);
+            normalY += (current.z - next.z) * (current.x + next.x);
+            normalZ += (current.x - next.x) * (current.y + next.y);
+            centerX += current.x;
+            centerY += current.y;
+            centerZ += current.z;
+        }
+
+        const count = cameraSpaceVertices.length;
+        const normal = cameraToWorldMatrix.transformDirection(new Vector3(normalX, normalY, normalZ)).getNormalized();
+        const center = cameraToWorldMatrix.transformPoint(
+            new Vector3(centerX / count, centerY / count, centerZ / count)
+        );
+
+        let r = 0, g = 0, b = 0;
+
+        for (const light of lights) {
+            const irradiance = light.getIrradiance(center, normal);
+
+            if (irradiance <= 0)
+                continue;
+
+            const lightColor = ColorUtils.hexToRgb(light.color);
+            r += lightColor.r / 255 * irradiance;
+            g += lightColor.g / 255 * irradiance;
+            b += lightColor.b / 255 * irradiance;
+        }
+
+        const faceColor = ColorUtils.hexToRgb(color);
+        return ColorUtils.rgbToHex(faceColor.r * r, faceColor.g * g, faceColor.b * b, faceColor.a);
+    }
+
+    /**
+     * Builds all six camera space frustum planes with unit normals, so plane distances are in world units.
+     * @param {number} fovRadians - The vertical field of view in radians.
+     * @returns {{normal: Vector3, constant: number}[]} The frustum planes.
+     * @private
+     */
+    #getFrustumPlanes(fovRadians) {
+        const planes = [
+            {normal: new Vector3(0, 0, 1), constant: -this.#nearClip},
+            ...this.#getSidePlanes(fovRadians)
+        ];
+
+        // Without frustum clipping nothing is cut off at the far plane, so objects beyond it stay visible too
+        if (this.#isFrustumClipping)
+            planes.push(this.#getFarPlane());
+
+        return planes.map(({normal, constant}) => {
+            const length = normal.getMagnitude();
+            return {normal: normal.getScaled(1 / length), constant: constant / length};
+        });
+    }
+
+    /**
+     * Builds the camera space far plane.
+     * @returns {{normal: Vector3, constant: number}} The plane.
+     * @private
+     */
+    #getFarPlane() {
+        return {normal: new Vector3(0, 0, -1), constant: this.#farClip};
+    }
+
+    /**
+     * Builds the camera space left, right, bottom, and top planes (normals not normalized).
+     * @param {number} fovRadians - The vertical field of view in radians.
+     * @returns {{normal: Vector3, constant: number}[]} The planes.
+     * @private
+     */
+    #getSidePlanes(fovRadians) {
+        // Orthographic side planes are parallel to the view direction, e.g. the right plane is x <= width / 2
+        if (this.#isOrthographic) {
+            const halfHeight = this.#orthographicHeight / 2;
+            const halfWidth = halfHeight * this.#aspectRatio;
+
+            return [
+                {normal: Vector3.right(), constant: halfWidth},
+                {normal: Vector3.left(), constant: halfWidth},
+                {normal: Vector3.up(), constant: halfHeight},
+                {normal: Vector3.down(), constant: halfHeight}
+            ];
+        }
+
+        // Perspective side planes pass through the camera, e.g. the right plane is x <= z * tan(horizontal fov / 2)
+        const focalLength = 1 / Math.tan(fovRadians / 2);
+        const horizontalScale = focalLength / this.#aspectRatio;
+
+        return [
+            {normal: new Vector3(horizontalScale, 0, 1), constant: 0},
+            {normal: new Vector3(-horizontalScale, 0, 1), constant: 0},
+            {normal: new Vector3(0, focalLength, 1), constant: 0},
+            {normal: new Vector3(0, -focalLength, 1), constant: 0}
+        ];
+    }
+
     /** @private */
     #getScaledScreenPosition(normScreenPos) {
         /* Currently (0, 0) is the top left corner of the canvas
@@ -189,31 +617,45 @@ export class Camera {
     /** @private */
     #getNormalizedScreenPosition(scenePos) {
         /*
-        * If > 0 the point is in front of the camera, if <= 0 the point is not visible, because the divisor
-        * would be zero. Thus, it is in the same 3D position as the camera. As z increases the 3D point moves
-        * further away from the camera. */
-        const near = 1e-4;
-        if (scenePos.z <= near)
-            return null;
-
-        return new Vector2(
-            (scenePos.x / scenePos.z) * this.#focalLength / this.#aspectRatio,
-            (scenePos.y / scenePos.z) * this.#focalLength
-        );
+        * Points must already be clipped to the near plane. At z <= 0 the point would be at or behind the camera
+        * and the perspective divide would be meaningless. As z increases the 3D point moves further away from
+        * the camera. */
+        const ndcPos = this.#projectionMatrix.transformPoint(scenePos);
+        return new Vector2(ndcPos.x, ndcPos.y);
     }
 
     /** @private */
-    #worldToCameraSpace(worldPos) {
-        // First translate by negative camera position
-        const translated = worldPos.getTranslated(
-            this.#transform.position.getScaled(-1)
-        );
+    #updateProjectionMatrix() {
+        const fovRadians = (this.#fov * Math.PI) / 180;
+
+        if (this.#isOrthographic) {
+            this.#projectionMatrix = Matrix4.orthographic(
+                this.#orthographicHeight,
+                this.#aspectRatio,
+                this.#nearClip,
+                this.#farClip
+            );
+        } else {
+            this.#projectionMatrix = Matrix4.perspective(fovRadians, this.#aspectRatio, this.#nearClip, this.#farClip);
+        }
+
+        this.#clipPlanes = this.#getClipPlanes(fovRadians);
+        this.#frustumPlanes = this.#getFrustumPlanes(fovRadians);
+    }
+
+    /**
+     * Builds the camera space planes faces are clipped against. Inside is normal · p + constant >= 0.
+     * @param {number} fovRadians - The vertical field of view in radians.
+     * @returns {{normal: Vector3, constant: number}[]} The clip planes, near plane first.
+     * @private
+     */
+    #getClipPlanes(fovRadians) {
+        const planes = [{normal: new Vector3(0, 0, 1), constant: -this.#nearClip}];
+
+        if (!this.#isFrustumClipping)
+            return planes;
 
-        // Then rotate by negative camera rotation (in reverse order: Z, Y, X)
-        return translated
-            .getRotatedZ(-this.#transform.rotation.z)
-            .getRotatedY(-this.#transform.rotation.y)
-            .getRotatedX(-this.#transform.rotation.x);
+        return [...planes, ...this.#getSidePlanes(fovRadians), this.#getFarPlane()];
     }
 
     // endregion
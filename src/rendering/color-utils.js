@@ -1,74 +1,94 @@
+import {Color} from './color.js';
+
 /**
  * Utility class for color manipulation and interpolation.
  */
 export class ColorUtils {
     /**
-     * Parses a hex color string to RGB components.
-     * @param {string} hex - Hex color string (e.g., '#ff00ff' or 'ff00ff').
-     * @returns {{r: number, g: number, b: number}} RGB components (0-255).
+     * Parses a color to RGBA components.
+     * @param {string|Color} color - Hex color string with an optional alpha (e.g., '#ff00ff', '#f0f8'), or any
+     *   other CSS color Color.parse accepts (e.g., 'rgb(255 0 255 / 50%)', 'hsl(300, 100%, 50%)', 'magenta').
+     * @returns {{r: number, g: number, b: number, a: number}} RGB components (0-255) and alpha (0-1, 1 if the
+     *   color has none).
+     * @throws {Error} If the color can't be parsed.
      */
-    static hexToRgb(hex) {
-        // Remove # if present
-        hex = hex.replace(/^#/, '');
-
-        // Handle shorthand (e.g., 'f0f' -> 'ff00ff')
-        if (hex.length === 3) {
-            hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
-        }
-
-        const num = parseInt(hex, 16);
-        return {
-            r: (num >> 16) & 255,
-            g: (num >> 8) & 255,
-            b: num & 255
-        };
+    static hexToRgb(color) {
+        const {r, g, b, a} = Color.parse(color);
+        return {r, g, b, a};
     }
 
     /**
-     * Converts RGB components to a hex color string.
+     * Converts RGBA components to a hex color string.
      * @param {number} r - Red component (0-255).
      * @param {number} g - Green component (0-255).
      * @param {number} b - Blue component (0-255).
-     * @returns {string} Hex color string (e.g., '#ff00ff').
+     * @param {number} [a] - Alpha (0-1). The alpha digits are only added when it's below 1.
+     * @returns {string} Hex color string (e.g., '#ff00ff' or '#ff00ff80').
      */
-    static rgbToHex(r, g, b) {
-        const toHex = (c) => {
-            const hex = Math.round(Math.max(0, Math.min(255, c))).toString(16);
-            return hex.length === 1 ? '0' + hex : hex;
-        };
-        return '#' + toHex(r) + toHex(g) + toHex(b);
+    static rgbToHex(r, g, b, a = 1) {
+        return new Color(r, g, b, a).toHex();
     }
 
     /**
-     * Linearly interpolates between two colors.
-     * @param {string} color1 - Start color (hex string).
-     * @param {string} color2 - End color (hex string).
-     * @param {number} t - Interpolation factor (0 = color1, 1 = color2).
-     * @returns {string} Interpolated color (hex string).
+     * Makes a color more transparent by multiplying its alpha.
+     * @param {string} color - Hex color string (with or without alpha) or CSS color.
+     * @param {number} opacity - Alpha multiplier (0 = invisible, 1 = unchanged).
+     * @returns {string} The color with the new alpha (hex string).
+     */
+    static applyOpacity(color, opacity) {
+        if (opacity >= 1)
+            return color;
+
+        const {r, g, b, a} = ColorUtils.hexToRgb(color);
+        return ColorUtils.rgbToHex(r, g, b, a * Math.max(0, opacity));
+    }
+
+    /**
+     * Converts colors to [r, g, b, a] lists, e.g. to interpolate them as PolygonClipper attributes.
+     * @param {string[]} colors - Hex color strings or CSS colors.
+     * @returns {number[][]} The [r, g, b, a] components (0-255, alpha 0-1) of each color.
      */
-    static interpolate(color1, color2, t) {
-        const c1 = ColorUtils.hexToRgb(color1);
-        const c2 = ColorUtils.hexToRgb(color2);
+    static hexToAttributes(colors) {
+        return colors.map(color => {
+            const {r, g, b, a} = ColorUtils.hexToRgb(color);
+            return [r, g, b, a];
+        });
+    }
 
-        // Clamp t to [0, 1]
-        t = Math.max(0, Math.min(1, t));
+    /**
+     * Converts [r, g, b, a] lists back to hex colors.
+     * @param {number[][]} attributes - The [r, g, b, a] components (0-255, alpha 0-1) of each color.
+     * @returns {string[]} Hex color strings.
+     */
+    static attributesToHex(attributes) {
+        return attributes.map(([r, g, b, a]) => ColorUtils.rgbToHex(r, g, b, a));
+    }
 
-        return ColorUtils.rgbToHex(
-            c1.r + (c2.r - c1.r) * t,
-            c1.g + (c2.g - c1.g) * t,
-            c1.b + (c2.b - c1.b) * t
-        );
+    /**
+     * Interpolates between two colors, including their alpha.
+     * @param {string} color1 - Start color (hex string or CSS color).
+     * @param {string} color2 - End color (hex string or CSS color).
+     * @param {number} t - Interpolation factor (0 = color1, 1 = color2).
+     * @param {string} [colorSpace] - 'rgb' (default, linear), 'hsl', or 'oklab' (see Color.interpolate).
+     * @returns {string} Interpolated color (hex string).
+     */
+    static interpolate(color1, color2, t, colorSpace = 'rgb') {
+        return Color.interpolate(color1, color2, t, colorSpace).toHex();
     }
 
     /**
-     * Applies fog effect by blending a color toward a fog color.
-     * @param {string} color - Original color (hex string).
-     * @param {string} fogColor - Fog color to blend toward (hex string).
+     * Applies fog effect by blending a color toward a fog color. The color keeps its alpha.
+     * @param {string} color - Original color (hex string or CSS color).
+     * @param {string} fogColor - Fog color to blend toward (hex string or CSS color).
      * @param {number} fogAmount - Amount of fog (0 = no fog, 1 = fully fogged).
+     * @param {string} [colorSpace] - The color space to blend in: 'rgb' (default), 'hsl', or 'oklab'.
      * @returns {string} Color with fog applied (hex string).
      */
-    static applyFog(color, fogColor, fogAmount) {
-        return ColorUtils.interpolate(color, fogColor, fogAmount);
+    static applyFog(color, fogColor, fogAmount, colorSpace = 'rgb') {
+        // Give the fog the color's alpha so only the RGB components blend
+        const parsedColor = Color.parse(color);
+        const fog = Color.parse(fogColor).getWithAlpha(parsedColor.a);
+        return Color.interpolate(parsedColor, fog, fogAmount, colorSpace).toHex();
     }
 
     /**
@@ -83,4 +103,29 @@ export class ColorUtils {
         if (depth >= far) return 1;
         return (depth - near) / (far - near);
     }
+
+    /**
+     * Calculates exponential fog amount, which has no hard start or end and only approaches full fog.
+     * @param {number} depth - The depth value (z distance from camera).
+     * @param {number} density - How thick the fog is (higher fogs closer objects).
+     * @param {boolean} [isSquared] - Whether to square the exponent ('exp2' fog), keeping close objects clearer
+     *   and then thickening faster.
+     * @returns {number} Fog amount (0 = no fog, 1 = fully fogged).
+     */
+    static calculateExponentialFogAmount(depth, density, isSquared = false) {
+        const exponent = Math.max(0, depth) * density;
+        return 1 - Math.exp(-(isSquared ? exponent * exponent : exponent));
+    }
+
+    /**
+     * Calculates how much of the fog remains at a height, for fog that settles low and thins out higher up.
+     * @param {number} height - The world space height (Y).
+     * @param {number} baseHeight - The height at and below which the fog is at full strength.
+     * @param {number} falloff - How quickly the fog thins above baseHeight (higher thins faster).
+     * @returns {number} Fog multiplier (0 = no fog, 1 = full fog).
+     */
+    static calculateHeightFogFactor(height, baseHeight, falloff) {
+        if (height <= baseHeight) return 1;
+        return Math.exp(-falloff * (height - baseHeight));
+    }
 }
@@ -0,0 +1,475 @@
+/** CSS named colors (CSS Color Module Level 4), as 6 digit hex. */
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+    darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+    gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+    green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+    indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+    lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+    lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90',
+    lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa',
+    lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+    lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+    mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db',
+    mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+/** Degrees in one unit of each CSS angle unit (a hue without a unit is in degrees). */
+const ANGLE_UNITS = {deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360};
+
+/** The color spaces colors can be interpolated in. */
+const COLOR_SPACES = ['rgb', 'hsl', 'oklab'];
+
+/**
+ * An RGBA color. Completely immutable - all methods return new instances.
+ * Components are 0-255 and alpha is 0-1. Colors can be parsed from any CSS color string the library accepts:
+ * hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla(), named colors, and 'transparent'.
+ */
+export class Color {
+    // region Fields
+
+    #r;
+    #g;
+    #b;
+    #a;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new Color.
+     * @param {number} r - Red component (0-255).
+     * @param {number} g - Green component (0-255).
+     * @param {number} b - Blue component (0-255).
+     * @param {number} [a] - Alpha (0-1, default 1).
+     */
+    constructor(r, g, b, a = 1) {
+        /** @type {number} @private */
+        this.#r = r;
+        /** @type {number} @private */
+        this.#g = g;
+        /** @type {number} @private */
+        this.#b = b;
+        /** @type {number} @private */
+        this.#a = a;
+    }
+
+    // endregion
+
+    // region Getter Properties
+
+    /**
+     * Gets the red component.
+     * @returns {number} Red (0-255).
+     */
+    get r() {
+        return this.#r;
+    }
+
+    /**
+     * Gets the green component.
+     * @returns {number} Green (0-255).
+     */
+    get g() {
+        return this.#g;
+    }
+
+    /**
+     * Gets the blue component.
+     * @returns {number} Blue (0-255).
+     */
+    get b() {
+        return this.#b;
+    }
+
+    /**
+     * Gets the alpha.
+     * @returns {number} Alpha (0 = transparent, 1 = opaque).
+     */
+    get a() {
+        return this.#a;
+    }
+
+    // endregion
+
+    // region Color Operation Methods
+
+    /**
+     * Returns a new color with a different alpha.
+     * @param {number} alpha - The new alpha (0-1).
+     * @returns {Color} A new color.
+     */
+    getWithAlpha(alpha) {
+        return new Color(this.#r, this.#g, this.#b, alpha);
+    }
+
+    /**
+     * Converts the color to a hex string.
+     * @returns {string} Hex color string (e.g., '#ff00ff', or '#ff00ff80' if the alpha is below 1).
+     */
+    toHex() {
+        const toHex = (c) => {
+            const hex = Math.round(Math.max(0, Math.min(255, c))).toString(16);
+            return hex.length === 1 ? '0' + hex : hex;
+        };
+        const alphaHex = this.#a < 1 ? toHex(this.#a * 255) : '';
+        return '#' + toHex(this.#r) + toHex(this.#g) + toHex(this.#b) + alphaHex;
+    }
+
+    /**
+     * Converts the color to a string, so colors can be used wherever the canvas takes a CSS color.
+     * @returns {string} Hex color string (see toHex).
+     */
+    toString() {
+        return this.toHex();
+    }
+
+    // endregion
+
+    // region Static Methods
+
+    /**
+     * Parses a CSS color string.
+     * @param {string|Color} value - The color, e.g. '#f0f', '#ff00ff80', 'rgb(255 0 255 / 50%)',
+     *   'rgba(255, 0, 255, 0.5)', 'hsl(300deg 100% 50%)', 'magenta', or 'transparent'. Colors are returned as is.
+     * @returns {Color} The parsed color.
+     * @throws {Error} If the value isn't a supported color.
+     */
+    static parse(value) {
+        if (value instanceof Color)
+            return value;
+
+        const color = typeof value === 'string' ? Color.#parseString(value.trim().toLowerCase()) : null;
+
+        if (color === null)
+            throw new Error(`Unsupported color: ${value}`);
+
+        return color;
+    }
+
+    /**
+     * Creates a color from hue, saturation, and lightness.
+     * @param {number} h - Hue in degrees (wraps around).
+     * @param {number} s - Saturation (0-1).
+     * @param {number} l - Lightness (0-1).
+     * @param {number} [a] - Alpha (0-1, default 1).
+     * @returns {Color} A new color.
+     */
+    static fromHsl(h, s, l, a = 1) {
+        h = ((h % 360) + 360) % 360;
+
+        // CSS Color 4 hslToRgb
+        const toChannel = (n) => {
+            const k = (n + h / 30) % 12;
+            const c = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return c * 255;
+        };
+
+        return new Color(toChannel(0), toChannel(8), toChannel(4), a);
+    }
+
+    /**
+     * Interpolates between two colors, including their alpha.
+     * 'rgb' blends the components directly (like the canvas does for gradients), 'hsl' goes around the shorter
+     * side of the hue wheel, and 'oklab' blends in a perceptual space so the lightness changes evenly.
+     * @param {string|Color} from - Start color.
+     * @param {string|Color} to - End color.
+     * @param {number} t - Interpolation factor (0 = from, 1 = to), clamped to [0, 1].
+     * @param {string} [space] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
+     * @returns {Color} A new interpolated color.
+     * @throws {Error} If the color space isn't supported.
+     */
+    static interpolate(from, to, t, space = 'rgb') {
+        Color.validateColorSpace(space);
+
+        const c1 = Color.parse(from);
+        const c2 = Color.parse(to);
+
+        t = Math.max(0, Math.min(1, t));
+
+        const a = c1.#a + (c2.#a - c1.#a) * t;
+
+        if (space === 'hsl')
+            return Color.#interpolateHsl(c1, c2, t, a);
+
+        if (space === 'oklab')
+            return Color.#interpolateOklab(c1, c2, t, a);
+
+        return new Color(
+            c1.#r + (c2.#r - c1.#r) * t,
+            c1.#g + (c2.#g - c1.#g) * t,
+            c1.#b + (c2.#b - c1.#b) * t,
+            a
+        );
+    }
+
+    /**
+     * Checks that colors can be interpolated in a color space.
+     * @param {string} space - The color space.
+     * @throws {Error} If it isn't 'rgb', 'hsl', or 'oklab'.
+     */
+    static validateColorSpace(space) {
+        if (!COLOR_SPACES.includes(space))
+            throw new Error(`Unsupported color space: ${space}`);
+    }
+
+    /**
+     * Checks that a value is a color parse accepts, so setters can reject bad colors when they're set instead of
+     * in the middle of a frame.
+     * @param {string|Color} value - The color.
+     * @throws {Error} If the value isn't a supported color.
+     */
+    static validate(value) {
+        Color.parse(value);
+    }
+
+    // endregion
+
+    // region Helper Methods
+
+    /**
+     * @returns {Color|null} The color, or null if the string isn't one.
+     * @private
+     */
+    static #parseString(value) {
+        if (value.startsWith('#'))
+            return Color.#parseHex(value.slice(1));
+
+        if (value === 'transparent')
+            return new Color(0, 0, 0, 0);
+
+        if (Object.hasOwn(NAMED_COLORS, value))
+            return Color.#parseHex(NAMED_COLORS[value]);
+
+        const match = /^(rgba?|hsla?)\((.*)\)$/.exec(value);
+
+        // ColorUtils.hexToRgb has always accepted hex without the '#'
+        if (match === null)
+            return Color.#parseHex(value);
+
+        // Accept both the comma separated and the space separated syntax (with '/' before alpha)
+        const args = match[2].trim().split(/\s*[,/]\s*|\s+/);
+
+        if (args.length < 3 || args.length > 4)
+            return null;
+
+        const alpha = args.length === 4 ? Color.#parseNumber(args[3], 1, false) : 1;
+
+        if (alpha === null)
+            return null;
+
+        if (match[1].startsWith('rgb')) {
+            const [r, g, b] = args.slice(0, 3).map(arg => Color.#parseNumber(arg, 255, false));
+
+            if (r === null || g === null || b === null)
+                return null;
+
+            return new Color(Color.#clamp(r, 255), Color.#clamp(g, 255), Color.#clamp(b, 255), Color.#clamp(alpha, 1));
+        }
+
+        // Saturation and lightness are 0-100 whether or not they have a '%' (CSS Color 4)
+        const h = Color.#parseNumber(args[0], 1, true);
+        const [s, l] = args.slice(1, 3).map(arg => Color.#parseNumber(arg, 100, false));
+
+        if (h === null || s === null || l === null)
+            return null;
+
+        return Color.fromHsl(h, Color.#clamp(s / 100, 1), Color.#clamp(l / 100, 1), Color.#clamp(alpha, 1));
+    }
+
+    /** @private */
+    static #parseHex(hex) {
+        if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex))
+            return null;
+
+        // Handle shorthand (e.g., 'f0f' -> 'ff00ff', 'f0f8' -> 'ff00ff88')
+        if (hex.length <= 4)
+            hex = [...hex].map(digit => digit + digit).join('');
+
+        const num = parseInt(hex.slice(0, 6), 16);
+
+        return new Color(
+            (num >> 16) & 255,
+            (num >> 8) & 255,
+            num & 255,
+            hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        );
+    }
+
+    /**
+     * Parses a CSS number, percentage, or (for hues) angle.
+     * @param {string} arg - The argument.
+     * @param {number} percentScale - What 100% is (e.g. 255 for RGB components).
+     * @param {boolean} isAngle - Whether angle units are allowed (the result is in degrees).
+     * @returns {number|null} The value, or null if the argument isn't valid.
+     * @private
+     */
+    static #parseNumber(arg, percentScale, isAngle) {
+        const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?$/.exec(arg);
+
+        if (match === null)
+            return null;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2];
+
+        if (unit === undefined)
+            return number;
+
+        if (unit === '%')
+            return isAngle ? null : number / 100 * percentScale;
+
+        return isAngle && Object.hasOwn(ANGLE_UNITS, unit) ? number * ANGLE_UNITS[unit] : null;
+    }
+
+    /** @private */
+    static #clamp(value, max) {
+        return Math.max(0, Math.min(max, value));
+    }
+
+    /** @private */
+    static #interpolateHsl(c1, c2, t, a) {
+        const hsl1 = Color.#toHsl(c1);
+        const hsl2 = Color.#toHsl(c2);
+
+        // Grays have no hue, so they take the other color's instead of fading through an arbitrary one
+        if (hsl1.s === 0)
+            hsl1.h = hsl2.h;
+        if (hsl2.s === 0)
+            hsl2.h = hsl1.h;
+
+        // Go around the shorter side of the hue wheel
+        let hueDelta = hsl2.h - hsl1.h;
+        if (hueDelta > 180)
+            hueDelta -= 360;
+        else if (hueDelta < -180)
+            hueDelta += 360;
+
+        return Color.fromHsl(
+            hsl1.h + hueDelta * t,
+            hsl1.s + (hsl2.s - hsl1.s) * t,
+            hsl1.l + (hsl2.l - hsl1.l) * t,
+            a
+        );
+    }
+
+    /**
+     * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness (0-1).
+     * @private
+     */
+    static #toHsl(color) {
+        const r = color.#r / 255;
+        const g = color.#g / 255;
+        const b = color.#b / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const delta = max - min;
+
+        if (delta === 0)
+            return {h: 0, s: 0, l};
+
+        const s = delta / (1 - Math.abs(2 * l - 1));
+        let h;
+
+        if (max === r)
+            h = ((g - b) / delta) % 6;
+        else if (max === g)
+            h = (b - r) / delta + 2;
+        else
+            h = (r - g) / delta + 4;
+
+        return {h: (h * 60 + 360) % 360, s, l};
+    }
+
+    /** @private */
+    static #interpolateOklab(c1, c2, t, a) {
+        const lab1 = Color.#toOklab(c1);
+        const lab2 = Color.#toOklab(c2);
+
+        return Color.#fromOklab(
+            lab1[0] + (lab2[0] - lab1[0]) * t,
+            lab1[1] + (lab2[1] - lab1[1]) * t,
+            lab1[2] + (lab2[2] - lab1[2]) * t,
+            a
+        );
+    }
+
+    /**
+     * Converts a color to OKLab (https://bottosson.github.io/posts/oklab/).
+     * @returns {number[]} The [L, a, b] components.
+     * @private
+     */
+    static #toOklab(color) {
+        const r = Color.#toLinear(color.#r / 255);
+        const g = Color.#toLinear(color.#g / 255);
+        const b = Color.#toLinear(color.#b / 255);
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    /** @private */
+    static #fromOklab(lightness, labA, labB, alpha) {
+        const l = (lightness + 0.3963377774 * labA + 0.2158037573 * labB) ** 3;
+        const m = (lightness - 0.1055613458 * labA - 0.0638541728 * labB) ** 3;
+        const s = (lightness - 0.0894841775 * labA - 1.2914855480 * labB) ** 3;
+
+        const r = 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s;
+        const g = -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s;
+        const b = -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s;
+
+        return new Color(
+            Color.#toGamma(r) * 255,
+            Color.#toGamma(g) * 255,
+            Color.#toGamma(b) * 255,
+            alpha
+        );
+    }
+
+    /**
+     * Converts an sRGB channel (0-1) to linear light.
+     * @private
+     */
+    static #toLinear(c) {
+        return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    }
+
+    /**
+     * Converts a linear light channel back to sRGB (0-1), clamping colors outside the sRGB gamut.
+     * @private
+     */
+    static #toGamma(c) {
+        c = Color.#clamp(c, 1);
+        return c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+    }
+
+    // endregion
+}
@@ -0,0 +1,354 @@
+import {Color} from './color.js';
+
+/**
+ * Edges lie exactly on their faces, so they pass the depth test if they are at most this fraction farther away
+ * than what's in the depth buffer. Relative so it works the same for near and far objects.
+ */
+const EDGE_DEPTH_BIAS = 0.01;
+
+/**
+ * Software rasterizer that draws filled faces and edges into ImageData with a per-pixel depth buffer.
+ * Unlike sorting faces by average depth, this gives correct occlusion for intersecting and long faces.
+ * Fill every face before drawing edges so edges are tested against all of them.
+ *
+ * Colors with an alpha below 1 are blended over what's already drawn. Translucent fills don't write depth, so
+ * fill them after every opaque face, back-to-front.
+ *
+ * Depths are camera space Z values. With perspective projection they are interpolated as 1/Z, which is linear
+ * in screen space, so occlusion stays correct across large faces.
+ */
+export class DepthBufferRasterizer {
+    // region Fields
+
+    #imageData = null;
+    #edgeImageData = null;
+    #edgeGlow = null;
+    #depthBuffer = new Float32Array(0);
+    #width = 0;
+    #height = 0;
+    #isPerspective = true;
+
+    // endregion
+
+    // region Public Methods
+
+    /**
+     * Starts a new frame, clearing the depth buffer.
+     * @param {ImageData} imageData - The pixels to draw into (usually a copy of the cleared canvas).
+     * @param {boolean} isPerspective - Whether depths come from a perspective projection.
+     * @param {ImageData|null} [edgeImageData] - Optional pixels that only receive visible edges (e.g. for bloom).
+     * @param {{r: number, g: number, b: number}|null} [edgeGlowColor] - Color for edgeImageData instead of the
+     *   edge colors (until changed with setEdgeGlow).
+     */
+    begin(imageData, isPerspective, edgeImageData = null, edgeGlowColor = null) {
+        this.#imageData = imageData;
+        this.#edgeImageData = edgeImageData;
+        this.#edgeGlow = {color: edgeGlowColor, intensity: 1};
+        this.#isPerspective = isPerspective;
+        this.#width = imageData.width;
+        this.#height = imageData.height;
+
+        if (this.#depthBuffer.length !== this.#width * this.#height)
+            this.#depthBuffer = new Float32Array(this.#width * this.#height);
+
+        this.#depthBuffer.fill(Infinity);
+    }
+
+    /**
+     * Fills a convex polygon, keeping only the pixels closer than what's already been drawn.
+     * @param {Vector2[]} positions - The vertex positions in screen coordinates.
+     * @param {number[]} depths - The camera space depth of each vertex.
+     * @param {{r: number, g: number, b: number, a?: number}|null} color - The fill color, or null to only write
+     *   depth (occludes what's behind without covering the background).
+     */
+    fillPolygon(positions, depths, color) {
+        // Split into a triangle fan around the first vertex
+        for (let i = 1; i < positions.length - 1; i++) {
+            this.#fillTriangle(
+                positions[0], positions[i], positions[i + 1],
+                depths[0], depths[i], depths[i + 1],
+                color
+            );
+        }
+    }
+
+    /**
+     * Sets how the lines drawn after this glow in edgeImageData. The glow color is scaled by the intensity and
+     * saturates at white, which glows the same as Renderer's bloom strokes once the bloom is composited.
+     * @param {{color: {r: number, g: number, b: number}|null, intensity: number}|null} glow - The glow color (null
+     *   for the lines' own colors) and brightness, or null for lines that don't glow.
+     */
+    setEdgeGlow(glow) {
+        this.#edgeGlow = glow;
+    }
+
+    /**
+     * Draws a line, skipping pixels hidden behind filled faces. Lines don't write depth.
+     * Wide lines are drawn with a square brush, so caps and joins are always square.
+     * @param {Vector2} start - The start position in screen coordinates.
+     * @param {Vector2} end - The end position in screen coordinates.
+     * @param {number} startDepth - The camera space depth at the start.
+     * @param {number} endDepth - The camera space depth at the end.
+     * @param {{r: number, g: number, b: number, a?: number}} startColor - The color at the start.
+     * @param {{r: number, g: number, b: number, a?: number}} [endColor] - The color at the end (default startColor).
+     * @param {{width: number, dash: ReadonlyArray<number>}|null} [lineStyle] - The width and dash pattern in
+     *   pixels, or null for a solid 1 pixel line.
+     * @param {string} [colorSpace] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
+     */
+    drawLine(start, end, startDepth, endDepth, startColor, endColor = startColor, lineStyle = null,
+             colorSpace = 'rgb') {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy))));
+        const length = Math.hypot(dx, dy);
+
+        // Pixels around each point on the line, e.g. -1 to 1 for a 3 pixel wide line
+        const width = lineStyle ? Math.max(1, Math.round(lineStyle.width)) : 1;
+        const brushStart = -Math.floor((width - 1) / 2);
+        const brushEnd = brushStart + width - 1;
+
+        // Near clipped edges can reach far off screen, so only step along the part whose brush touches the canvas.
+        // Steps keep their t along the whole line, so depth, color, and the dash pattern are unchanged.
+        const range = DepthBufferRasterizer.#getClippedRange(
+            start, dx, dy, -width, -width, this.#width + width, this.#height + width
+        );
+
+        if (range === null)
+            return;
+
+        const firstStep = Math.max(0, Math.floor(range.start * steps));
+        const lastStep = Math.min(steps, Math.ceil(range.end * steps));
+
+        for (let i = firstStep; i <= lastStep; i++) {
+            const t = i / steps;
+            const centerX = Math.floor(start.x + dx * t);
+            const centerY = Math.floor(start.y + dy * t);
+
+            // Skip brushes entirely off the canvas
+            if (centerX + brushEnd < 0 || centerY + brushEnd < 0 ||
+                centerX + brushStart >= this.#width || centerY + brushStart >= this.#height)
+                continue;
+
+            if (lineStyle && !DepthBufferRasterizer.#isDashOn(lineStyle.dash, t * length))
+                continue;
+
+            const depth = this.#interpolateDepth(startDepth, endDepth, t);
+            const color = DepthBufferRasterizer.#interpolateColor(startColor, endColor, t, colorSpace);
+
+            for (let offsetY = brushStart; offsetY <= brushEnd; offsetY++) {
+                for (let offsetX = brushStart; offsetX <= brushEnd; offsetX++)
+                    this.#drawLinePixel(centerX + offsetX, centerY + offsetY, depth, color);
+            }
+        }
+    }
+
+    // endregion
+
+    // region Helper Methods
+
+    /** @private */
+    #drawLinePixel(x, y, depth, color) {
+        if (x < 0 || y < 0 || x >= this.#width || y >= this.#height)
+            return;
+
+        const pixel = y * this.#width + x;
+
+        if (depth > this.#depthBuffer[pixel] * (1 + EDGE_DEPTH_BIAS))
+            return;
+
+        const {r, g, b, a} = color;
+
+        DepthBufferRasterizer.#writePixel(this.#imageData, pixel, r, g, b, a);
+
+        if (this.#edgeImageData && this.#edgeGlow) {
+            const {color: glowColor, intensity} = this.#edgeGlow;
+
+            // ImageData clamps components above 255, so bright glows saturate
+            DepthBufferRasterizer.#writePixel(
+                this.#edgeImageData, pixel,
+                (glowColor ? glowColor.r : r) * intensity,
+                (glowColor ? glowColor.g : g) * intensity,
+                (glowColor ? glowColor.b : b) * intensity,
+                a
+            );
+        }
+    }
+
+    /** @private */
+    #fillTriangle(p0, p1, p2, d0, d1, d2, color) {
+        const area = DepthBufferRasterizer.#getEdgeFunction(p0, p1, p2.x, p2.y);
+
+        // Degenerate (zero area) triangles cover no pixels
+        if (Math.abs(area) < 1e-9)
+            return;
+
+        const minX = Math.max(0, Math.floor(Math.min(p0.x, p1.x, p2.x)));
+        const maxX = Math.min(this.#width - 1, Math.ceil(Math.max(p0.x, p1.x, p2.x)));
+        const minY = Math.max(0, Math.floor(Math.min(p0.y, p1.y, p2.y)));
+        const maxY = Math.min(this.#height - 1, Math.ceil(Math.max(p0.y, p1.y, p2.y)));
+
+        // With perspective, 1/Z is what interpolates linearly across the screen
+        const v0 = this.#isPerspective ? 1 / d0 : d0;
+        const v1 = this.#isPerspective ? 1 / d1 : d1;
+        const v2 = this.#isPerspective ? 1 / d2 : d2;
+        const alpha = color ? color.a ?? 1 : 1;
+
+        for (let y = minY; y <= maxY; y++) {
+            const sampleY = y + 0.5;
+
+            for (let x = minX; x <= maxX; x++) {
+                const sampleX = x + 0.5;
+
+                // Barycentric weights from edge functions (sampled at the pixel center), positive inside
+                const w0 = DepthBufferRasterizer.#getEdgeFunction(p1, p2, sampleX, sampleY) / area;
+                const w1 = DepthBufferRasterizer.#getEdgeFunction(p2, p0, sampleX, sampleY) / area;
+                const w2 = 1 - w0 - w1;
+
+                if (w0 < 0 || w1 < 0 || w2 < 0)
+                    continue;
+
+                const value = w0 * v0 + w1 * v1 + w2 * v2;
+                const depth = this.#isPerspective ? 1 / value : value;
+                const pixel = y * this.#width + x;
+
+                if (depth >= this.#depthBuffer[pixel])
+                    continue;
+
+                // Translucent faces don't hide what's behind them
+                if (alpha >= 1)
+                    this.#depthBuffer[pixel] = depth;
+
+                if (color)
+                    DepthBufferRasterizer.#writePixel(this.#imageData, pixel, color.r, color.g, color.b, alpha);
+            }
+        }
+    }
+
+    /**
+     * @returns {{r: number, g: number, b: number, a: number}} The color at t along a line.
+     * @private
+     */
+    static #interpolateColor(startColor, endColor, t, colorSpace) {
+        const startAlpha = startColor.a ?? 1;
+        const endAlpha = endColor.a ?? 1;
+
+        if (colorSpace !== 'rgb') {
+            return Color.interpolate(
+                new Color(startColor.r, startColor.g, startColor.b, startAlpha),
+                new Color(endColor.r, endColor.g, endColor.b, endAlpha),
+                t, colorSpace
+            );
+        }
+
+        return {
+            r: startColor.r + (endColor.r - startColor.r) * t,
+            g: startColor.g + (endColor.g - startColor.g) * t,
+            b: startColor.b + (endColor.b - startColor.b) * t,
+            a: startAlpha + (endAlpha - startAlpha) * t
+        };
+    }
+
+    /** @private */
+    #interpolateDepth(startDepth, endDepth, t) {
+        if (!this.#isPerspective)
+            return startDepth + (endDepth - startDepth) * t;
+
+        return 1 / ((1 - t) / startDepth + t / endDepth);
+    }
+
+    /**
+     * Gets the part of a line inside a rectangle (Liang–Barsky).
+     * @param {Vector2} start - The start of the line.
+     * @param {number} dx - The line's X extent.
+     * @param {number} dy - The line's Y extent.
+     * @param {number} minX - The rectangle's left side.
+     * @param {number} minY - The rectangle's top side.
+     * @param {number} maxX - The rectangle's right side.
+     * @param {number} maxY - The rectangle's bottom side.
+     * @returns {{start: number, end: number}|null} The range of t (0 at the start, 1 at the end) inside the
+     *   rectangle, or null if the line misses it.
+     * @private
+     */
+    static #getClippedRange(start, dx, dy, minX, minY, maxX, maxY) {
+        let tStart = 0;
+        let tEnd = 1;
+
+        // Each side as p * t <= q: the line is inside that side where this holds
+        const sides = [
+            [-dx, start.x - minX],
+            [dx, maxX - start.x],
+            [-dy, start.y - minY],
+            [dy, maxY - start.y]
+        ];
+
+        for (const [p, q] of sides) {
+            if (p === 0) {
+                // Parallel to this side, so it's either all inside or all outside
+                if (q < 0)
+                    return null;
+            } else if (p < 0) {
+                tStart = Math.max(tStart, q / p);
+            } else {
+                tEnd = Math.min(tEnd, q / p);
+            }
+        }
+
+        return tStart <= tEnd ? {start: tStart, end: tEnd} : null;
+    }
+
+    /**
+     * Checks whether a distance along a line falls on a dash rather than a gap.
+     * Like the canvas, odd length patterns are repeated to make them even.
+     * @private
+     */
+    static #isDashOn(dash, distance) {
+        const pattern = dash.length % 2 === 0 ? dash : [...dash, ...dash];
+        const patternLength = pattern.reduce((sum, length) => sum + length, 0);
+
+        if (patternLength <= 0)
+            return true;
+
+        let position = distance % patternLength;
+
+        for (let i = 0; i < pattern.length; i++) {
+            if (position < pattern[i])
+                return i % 2 === 0;
+
+            position -= pattern[i];
+        }
+
+        return true;
+    }
+
+    /**
+     * Twice the signed area of the triangle (a, b, point).
+     * @private
+     */
+    static #getEdgeFunction(a, b, x, y) {
+        return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+    }
+
+    /**
+     * Writes a pixel, blending it over the current one if it's translucent.
+     * @private
+     */
+    static #writePixel(imageData, pixel, r, g, b, a = 1) {
+        const data = imageData.data;
+        const i = pixel * 4;
+
+        if (a >= 1) {
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = 255;
+            return;
+        }
+
+        data[i] = data[i] + (r - data[i]) * a;
+        data[i + 1] = data[i + 1] + (g - data[i + 1]) * a;
+        data[i + 2] = data[i + 2] + (b - data[i + 2]) * a;
+        data[i + 3] = data[i + 3] + (255 - data[i + 3]) * a;
+    }
+
+    // endregion
+}
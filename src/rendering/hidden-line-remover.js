@@ -0,0 +1,264 @@
+import {Vector3} from '../math/vector3.js';
+
+/** How far (in camera space units) a point must be behind a face to count as hidden by it. */
+const DEPTH_EPSILON = 1e-6;
+
+/** Visible pieces shorter than this fraction of their edge are dropped. */
+const MIN_SEGMENT_LENGTH = 1e-6;
+
+/**
+ * Computes which parts of face edges are visible, treating every face as opaque. Works analytically in camera
+ * space instead of per pixel, so the result is clean line segments (e.g. for plotting or SVG export).
+ *
+ * A point on an edge is hidden by a face when it's inside the volume the face blocks: within the pyramid from
+ * the camera through the face's outline (a prism with orthographic projection) and behind the face's plane.
+ * Both are plane tests, so each face hides one continuous interval of each edge.
+ *
+ * Each mesh edge is only checked once, from the first face that has it, and edges that aren't part of the mesh
+ * (e.g. sides created by clipping) are skipped.
+ */
+export class HiddenLineRemover {
+    /**
+     * Gets the visible pieces of every face edge.
+     * @param {ProjectedFace[]} faces - The faces, with cameraSpacePositions. Faces are assumed to be convex.
+     * @param {boolean} [isOrthographic] - Whether the view rays are parallel (+Z) instead of from the origin.
+     * @returns {{start: Vector3, end: Vector3, startT: number, endT: number, face: ProjectedFace,
+     *   edgeIndex: number}[]} Visible segments in camera space. startT/endT are where the segment starts and ends
+     *   along the edge from cameraSpacePositions[edgeIndex] (0) to the next position (1).
+     */
+    static getVisibleSegments(faces, isOrthographic = false) {
+        const occluders = faces
+            .map(face => HiddenLineRemover.#getOccluder(face, isOrthographic))
+            .filter(occluder => occluder !== null);
+
+        const segments = [];
+        const checkedEdges = new Map();
+
+        for (const face of faces) {
+            const positions = face.cameraSpacePositions;
+
+            if (!checkedEdges.has(face.sceneObject))
+                checkedEdges.set(face.sceneObject, new Set());
+
+            const objectCheckedEdges = checkedEdges.get(face.sceneObject);
+
+            for (let i = 0; i < positions.length; i++) {
+                const meshEdge = face.getMeshEdge(i);
+
+                if (meshEdge === null || objectCheckedEdges.has(meshEdge.edgeIndex))
+                    continue;
+
+                objectCheckedEdges.add(meshEdge.edgeIndex);
+
+                const start = positions[i];
+                const end = positions[(i + 1) % positions.length];
+                const edgeBounds = HiddenLineRemover.#getViewBounds([start, end], isOrthographic);
+                const edgeMaxZ = Math.max(start.z, end.z);
+                const hiddenIntervals = [];
+
+                for (const occluder of occluders) {
+                    if (occluder.face === face || !HiddenLineRemover.#isOverlapping(occluder, edgeBounds, edgeMaxZ))
+                        continue;
+
+                    const interval = HiddenLineRemover.#getHiddenInterval(occluder, start, end);
+
+                    if (interval !== null)
+                        hiddenIntervals.push(interval);
+                }
+
+                for (const [startT, endT] of HiddenLineRemover.#getVisibleIntervals(hiddenIntervals)) {
+                    segments.push({
+                        start: HiddenLineRemover.#lerp(start, end, startT),
+                        end: HiddenLineRemover.#lerp(start, end, endT),
+                        startT,
+                        endT,
+                        face,
+                        edgeIndex: i
+                    });
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Builds the planes of the volume a face hides, each with the inside at normal · p + constant >= 0.
+     * @returns {{face: ProjectedFace, planes: {normal: Vector3, constant: number}[], bounds: {minX: number,
+     *   maxX: number, minY: number, maxY: number}, minZ: number}|null} The occluder, or null if the face has no
+     *   area or is seen edge-on.
+     * @private
+     */
+    static #getOccluder(face, isOrthographic) {
+        const positions = face.cameraSpacePositions;
+
+        if (positions.length < 3)
+            return null;
+
+        const center = positions
+            .reduce((sum, p) => sum.getTranslated(p), Vector3.zero())
+            .getScaled(1 / positions.length);
+
+        const normal = HiddenLineRemover.#getNormal(positions);
+
+        if (normal === null)
+            return null;
+
+        // The viewer is at the origin, or infinitely far back along -Z with orthographic projection
+        const faceConstant = -normal.getDot(center);
+        const viewerSide = isOrthographic ? -normal.z : faceConstant;
+
+        // Seen edge-on, the face can't hide anything
+        if (Math.abs(viewerSide) < DEPTH_EPSILON)
+            return null;
+
+        // Points behind the face are on the side away from the viewer (with a margin so edges on the face survive)
+        const sign = viewerSide > 0 ? -1 : 1;
+        const behindPlane = {normal: normal.getScaled(sign), constant: faceConstant * sign - DEPTH_EPSILON};
+
+        const sidePlanes = [];
+        for (let i = 0; i < positions.length; i++) {
+            const a = positions[i];
+            const b = positions[(i + 1) % positions.length];
+
+            // Perspective side planes pass through the camera, orthographic ones run parallel to +Z
+            let sideNormal = isOrthographic ? b.getDifference(a).getCross(new Vector3(0, 0, 1)) : a.getCross(b);
+            let sideConstant = isOrthographic ? -sideNormal.getDot(a) : 0;
+
+            // Winding depends on which way the face points, so flip the plane until the face's center is inside
+            if (sideNormal.getDot(center) + sideConstant < 0) {
+                sideNormal = sideNormal.getScaled(-1);
+                sideConstant = -sideConstant;
+            }
+
+            sidePlanes.push({normal: sideNormal, constant: sideConstant});
+        }
+
+        const bounds = HiddenLineRemover.#getViewBounds(positions, isOrthographic);
+        const minZ = Math.min(...positions.map(p => p.z));
+
+        return {face, planes: [behindPlane, ...sidePlanes], bounds, minZ};
+    }
+
+    /**
+     * Quickly rejects faces that can't hide any part of an edge: entirely behind it, or off to one side on screen.
+     * @private
+     */
+    static #isOverlapping(occluder, edgeBounds, edgeMaxZ) {
+        // A face can only hide points farther away than its closest point
+        if (edgeMaxZ <= occluder.minZ)
+            return false;
+
+        const bounds = occluder.bounds;
+
+        return edgeBounds.maxX >= bounds.minX && edgeBounds.minX <= bounds.maxX &&
+            edgeBounds.maxY >= bounds.minY && edgeBounds.minY <= bounds.maxY;
+    }
+
+    /**
+     * Gets the screen space bounds of points, up to a scale (x / z and y / z with perspective projection).
+     * Straight edges stay straight when projected, so the bounds of the corners cover the whole polygon.
+     * @private
+     */
+    static #getViewBounds(positions, isOrthographic) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+        for (const p of positions) {
+            const x = isOrthographic ? p.x : p.x / p.z;
+            const y = isOrthographic ? p.y : p.y / p.z;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+
+        return {minX, maxX, minY, maxY};
+    }
+
+    /**
+     * Gets the part of an edge inside every plane of an occluder (Cyrus–Beck clipping of a segment).
+     * @returns {number[]|null} The hidden interval [startT, endT] along the edge, or null if nothing is hidden.
+     * @private
+     */
+    static #getHiddenInterval(occluder, start, end) {
+        let startT = 0;
+        let endT = 1;
+
+        for (const plane of occluder.planes) {
+            const startDistance = plane.normal.getDot(start) + plane.constant;
+            const endDistance = plane.normal.getDot(end) + plane.constant;
+
+            if (startDistance < 0 && endDistance < 0)
+                return null;
+
+            if (startDistance >= 0 && endDistance >= 0)
+                continue;
+
+            const t = startDistance / (startDistance - endDistance);
+
+            if (startDistance < 0)
+                startT = Math.max(startT, t);
+            else
+                endT = Math.min(endT, t);
+
+            if (startT >= endT)
+                return null;
+        }
+
+        return [startT, endT];
+    }
+
+    /**
+     * Gets the parts of [0, 1] not covered by any hidden interval.
+     * @private
+     */
+    static #getVisibleIntervals(hiddenIntervals) {
+        hiddenIntervals.sort((a, b) => a[0] - b[0]);
+
+        const visible = [];
+        let t = 0;
+
+        for (const [hiddenStart, hiddenEnd] of hiddenIntervals) {
+            if (hiddenStart - t > MIN_SEGMENT_LENGTH)
+                visible.push([t, hiddenStart]);
+
+            t = Math.max(t, hiddenEnd);
+        }
+
+        if (1 - t > MIN_SEGMENT_LENGTH)
+            visible.push([t, 1]);
+
+        return visible;
+    }
+
+    /**
+     * Gets a polygon's unit normal using Newell's method.
+     * @returns {Vector3|null} The normal, or null if the polygon has no area.
+     * @private
+     */
+    static #getNormal(positions) {
+        let x = 0, y = 0, z = 0;
+
+        for (let i = 0; i < positions.length; i++) {
+            const current = positions[i];
+            const next = positions[(i + 1) % positions.length];
+
+            x += (current.y - next.y) * (current.z + next.z);
+            y += (current.z - next.z) * (current.x + next.x);
+            z += (current.x - next.x) * (current.y + next.y);
+        }
+
+        const length = Math.hypot(x, y, z);
+
+        return length < DEPTH_EPSILON ? null : new Vector3(x / length, y / length, z / length);
+    }
+
+    /** @private */
+    static #lerp(a, b, t) {
+        return new Vector3(
+            a.x + (b.x - a.x) * t,
+            a.y + (b.y - a.y) * t,
+            a.z + (b.z - a.z) * t
+        );
+    }
+}
@@ -0,0 +1,106 @@
+import {Vector3} from '../math/vector3.js';
+
+/**
+ * Utility class for clipping convex or concave polygons against planes (Sutherland–Hodgman).
+ * Planes are given as {normal, constant}; a point p is inside when normal · p + constant >= 0.
+ */
+export class PolygonClipper {
+    /**
+     * Clips a polygon against a list of planes.
+     * Besides positions, each vertex can carry a list of numbers (e.g. colors) that are interpolated at new vertices.
+     * @param {Vector3[]} vertices - The polygon vertices in order.
+     * @param {{normal: Vector3, constant: number}[]} planes - The planes to keep the inside of.
+     * @param {number[][]|null} [attributes] - Optional per-vertex values to interpolate, parallel to vertices.
+     * @returns {{vertices: Vector3[], attributes: number[][]|null, edgeSources: number[]}} The clipped polygon.
+     *   edgeSources[i] is the index of the original edge (vertices[k] → vertices[k + 1]) that the clipped edge
+     *   starting at vertex i lies on, or -1 if that edge was created along a clipping plane. The polygon is empty
+     *   if it was entirely outside.
+     */
+    static clip(vertices, planes, attributes = null) {
+        let polygon = vertices.map((position, i) => ({
+            position,
+            attributes: attributes ? attributes[i] : null,
+            edgeSource: i
+        }));
+
+        for (const plane of planes) {
+            polygon = PolygonClipper.#clipAgainstPlane(polygon, plane);
+
+            if (polygon.length === 0)
+                break;
+        }
+
+        return {
+            vertices: polygon.map(v => v.position),
+            attributes: attributes ? polygon.map(v => v.attributes) : null,
+            edgeSources: polygon.map(v => v.edgeSource)
+        };
+    }
+
+    /**
+     * Checks whether every vertex is inside all planes (no clipping needed).
+     * @param {Vector3[]} vertices - The polygon vertices.
+     * @param {{normal: Vector3, constant: number}[]} planes - The planes to test against.
+     * @returns {boolean} True if the polygon is entirely inside.
+     */
+    static isInside(vertices, planes) {
+        for (const plane of planes) {
+            for (const v of vertices) {
+                if (plane.normal.getDot(v) + plane.constant < 0)
+                    return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Clips one polygon against one plane.
+     * Each vertex records the source edge leaving it so callers can tell original edges from clip edges.
+     * @private
+     */
+    static #clipAgainstPlane(polygon, plane) {
+        const output = [];
+        const count = polygon.length;
+
+        for (let i = 0; i < count; i++) {
+            const start = polygon[i];
+            const end = polygon[(i + 1) % count];
+            const startDistance = plane.normal.getDot(start.position) + plane.constant;
+            const endDistance = plane.normal.getDot(end.position) + plane.constant;
+            const isStartInside = startDistance >= 0;
+            const isEndInside = endDistance >= 0;
+
+            if (isStartInside)
+                output.push(start);
+
+            // The edge crosses the plane, so add the crossing point
+            if (isStartInside !== isEndInside) {
+                const t = startDistance / (startDistance - endDistance);
+
+                output.push({
+                    position: PolygonClipper.#lerpVector(start.position, end.position, t),
+                    attributes: start.attributes ? PolygonClipper.#lerpValues(start.attributes, end.attributes, t) : null,
+                    // Leaving the inside, the next edge runs along the plane; entering, it continues this edge
+                    edgeSource: isStartInside ? -1 : start.edgeSource
+                });
+            }
+        }
+
+        return output;
+    }
+
+    /** @private */
+    static #lerpVector(a, b, t) {
+        return new Vector3(
+            a.x + (b.x - a.x) * t,
+            a.y + (b.y - a.y) * t,
+            a.z + (b.z - a.z) * t
+        );
+    }
+
+    /** @private */
+    static #lerpValues(a, b, t) {
+        return a.map((value, i) => value + (b[i] - value) * t);
+    }
+}
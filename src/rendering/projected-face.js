@@ -7,6 +7,13 @@ export class ProjectedFace {
     color;
     gradientColor;
     faceColor;
+    sceneObject;
+    faceIndex;
+    vertexDepths;
+    cameraSpacePositions;
+    edgeSources;
+    isMeshEdgeDrawn;
+    vertexColors;
 
     /**
      * Creates a new ProjectedFace.
@@ -15,13 +22,105 @@ export class ProjectedFace {
      * @param {string|null} color - Primary edge color (hex string).
      * @param {string|null} gradientColor - End color for gradient edges (hex string).
      * @param {string|null} faceColor - Fill color for the face (hex string).
+     * @param {SceneObject|null} sceneObject - The scene object the face belongs to.
+     * @param {number} faceIndex - The index of the face in the mesh's faceIndices (-1 if unknown).
+     * @param {number[]|null} vertexDepths - The depth (Z) in camera space of each screen position.
+     * @param {Vector3[]|null} cameraSpacePositions - The camera space position of each screen position.
+     * @param {number[]|null} edgeSources - For each edge (screenPositions[i] to [i + 1]), the index of the mesh
+     *   face's edge it lies on, or -1 if it was created by clipping or splitting. Null if the face wasn't cut.
+     * @param {boolean[]|null} isMeshEdgeDrawn - Whether each of the mesh's edges is drawn (see Material edge
+     *   filtering), or null to draw every edge.
+     * @param {string[]|null} vertexColors - The color (hex string) at each screen position, used for edges instead
+     *   of color and gradientColor, or null if the mesh has no vertex colors.
      */
-    constructor(screenPositions, depth, color = null, gradientColor = null, faceColor = null) {
+    constructor(screenPositions, depth, color = null, gradientColor = null, faceColor = null, sceneObject = null,
+                faceIndex = -1, vertexDepths = null, cameraSpacePositions = null, edgeSources = null,
+                isMeshEdgeDrawn = null, vertexColors = null) {
         this.screenPositions = screenPositions;
         this.depth = depth;
         this.color = color;
         this.gradientColor = gradientColor;
         this.faceColor = faceColor;
+        this.sceneObject = sceneObject;
+        this.faceIndex = faceIndex;
+        this.vertexDepths = vertexDepths;
+        this.cameraSpacePositions = cameraSpacePositions;
+        this.edgeSources = edgeSources;
+        this.isMeshEdgeDrawn = isMeshEdgeDrawn;
+        this.vertexColors = vertexColors;
+    }
+
+    /**
+     * Gets the mesh edge that an edge of this face lies on, if it's drawn.
+     * @param {number} i - The edge from screenPositions[i] to screenPositions[i + 1].
+     * @returns {{edgeIndex: number, isReversed: boolean}|null} The index in the mesh's edges and whether the edge
+     *   runs opposite to the mesh edge's direction, or null if it's not part of a mesh edge (e.g. a clipped side)
+     *   or the mesh edge isn't drawn.
+     */
+    getMeshEdge(i) {
+        const source = this.edgeSources ? this.edgeSources[i] : i;
+
+        if (source === -1 || this.sceneObject === null)
+            return null;
+
+        const mesh = this.sceneObject.mesh;
+        const edgeIndex = mesh.faceEdgeIndices[this.faceIndex][source];
+
+        if (this.isMeshEdgeDrawn && !this.isMeshEdgeDrawn[edgeIndex])
+            return null;
+
+        const isReversed = mesh.edges[edgeIndex].vertexIndices[0] !== mesh.faceIndices[this.faceIndex][source];
+
+        return {edgeIndex, isReversed};
+    }
+
+    /**
+     * Creates a face for a piece of this face (e.g. after splitting it), keeping its colors, depth, and source.
+     * @param {Vector3[]} cameraSpacePositions - The piece's camera space positions.
+     * @param {Vector2[]} screenPositions - The piece's screen positions.
+     * @param {number[]} edgeSources - For each of the piece's edges, the index of this face's edge it lies on, or
+     *   -1 if it was created by the split.
+     * @param {string[]|null} [vertexColors] - The color at each of the piece's positions, if this face has them.
+     * @returns {ProjectedFace} A new projected face.
+     */
+    getFragment(cameraSpacePositions, screenPositions, edgeSources, vertexColors = null) {
+        return new ProjectedFace(
+            screenPositions,
+            this.depth,
+            this.color,
+            this.gradientColor,
+            this.faceColor,
+            this.sceneObject,
+            this.faceIndex,
+            cameraSpacePositions.map(p => p.z),
+            cameraSpacePositions,
+            // Point back to the mesh face's edges rather than this face's
+            edgeSources.map(source => source === -1 || !this.edgeSources ? source : this.edgeSources[source]),
+            this.isMeshEdgeDrawn,
+            vertexColors
+        );
+    }
+
+    /**
+     * Checks whether a screen point is inside the projected face (even-odd rule).
+     * @param {Vector2} point - The point in screen coordinates.
+     * @returns {boolean} True if the point is inside.
+     */
+    containsPoint(point) {
+        const positions = this.screenPositions;
+        let isInside = false;
+
+        // Count how many edges a horizontal line from the point to the right crosses
+        for (let i = 0, j = positions.length - 1; i < positions.length; j = i++) {
+            const a = positions[i];
+            const b = positions[j];
+
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < a.x + (point.y - a.y) * (b.x - a.x) / (b.y - a.y))
+                isInside = !isInside;
+        }
+
+        return isInside;
     }
 
     /**
@@ -0,0 +1,225 @@
+import {Color} from './color.js';
+import {Vector2} from '../math/vector2.js';
+
+/** Color stops used to approximate gradients in color spaces the output can't interpolate in (e.g. OKLab). */
+const GRADIENT_STOP_COUNT = 8;
+
+/**
+ * Base class for render backends, which draw the projected scene the Engine hands them (e.g. Renderer draws to a
+ * canvas and SvgRenderer builds an SVG document). Subclasses implement the drawing methods and the screen size.
+ */
+export class RenderBackend {
+    // region Fields
+
+    #backgroundColor = '#000000';
+    #backgroundGradientColor = null;
+    #debugTextColor = '#ffffff';
+
+    // endregion
+
+    // region Getter and Setter Properties
+
+    /**
+     * Gets the output width.
+     * @returns {number} The width in pixels.
+     */
+    get screenWidth() {
+        throw new Error('RenderBackend subclasses must implement screenWidth');
+    }
+
+    /**
+     * Gets the output height.
+     * @returns {number} The height in pixels.
+     */
+    get screenHeight() {
+        throw new Error('RenderBackend subclasses must implement screenHeight');
+    }
+
+    /**
+     * Gets whether the backend draws pixels. Only pixel backends support bloom, post-processing, and the depth
+     * buffer (the Engine depth sorts instead for other backends).
+     * @returns {boolean} True if the backend draws pixels.
+     */
+    get isRaster() {
+        return false;
+    }
+
+    /**
+     * Gets the background color.
+     * @returns {string} The background color.
+     */
+    get backgroundColor() {
+        return this.#backgroundColor;
+    }
+
+    /**
+     * Sets the background color.
+     * @param {string} color - The new background color (hex string or CSS color).
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set backgroundColor(color) {
+        Color.validate(color);
+        this.#backgroundColor = color;
+    }
+
+    /**
+     * Gets whether the background is a vertical gradient.
+     * @returns {boolean} True if a gradient end color is set.
+     */
+    get isBackgroundGradient() {
+        return this.#backgroundGradientColor !== null;
+    }
+
+    /**
+     * Gets the background gradient end color.
+     * @returns {string|null} The gradient end color, or null if no gradient.
+     */
+    get backgroundGradientColor() {
+        return this.#backgroundGradientColor;
+    }
+
+    /**
+     * Sets the background gradient end color. Set to null to disable gradient.
+     * @param {string|null} color - The gradient end color, or null to disable.
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set backgroundGradientColor(color) {
+        if (color !== null)
+            Color.validate(color);
+
+        this.#backgroundGradientColor = color;
+    }
+
+    /**
+     * Gets the debug text color (used for FPS counter).
+     * @returns {string} The debug text color.
+     */
+    get debugTextColor() {
+        return this.#debugTextColor;
+    }
+
+    /**
+     * Sets the debug text color (used for FPS counter).
+     * @param {string} color - The new debug text color.
+     * @throws {Error} If the color isn't supported (see Color.parse).
+     */
+    set debugTextColor(color) {
+        Color.validate(color);
+        this.#debugTextColor = color;
+    }
+
+    // endregion
+
+    // region Render Methods
+
+    /**
+     * Clears the output with the background color or gradient.
+     */
+    clear() {
+        throw new Error('RenderBackend subclasses must implement clear');
+    }
+
+    /**
+     * Fills a polygon defined by screen positions.
+     * @param {Vector2[]} positions - The vertex positions in screen coordinates.
+     * @param {string} color - The fill color.
+     */
+    fillFace(positions, color) {
+        throw new Error('RenderBackend subclasses must implement fillFace');
+    }
+
+    /**
+     * Renders a line between two screen positions with a specific color.
+     * @param {Vector2} startVector2 - The start position in screen coordinates.
+     * @param {Vector2} endVector2 - The end position in screen coordinates.
+     * @param {string} color - The stroke color (hex string or CSS color).
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     */
+    renderEdgeWithColor(startVector2, endVector2, color, lineStyle = null) {
+        throw new Error('RenderBackend subclasses must implement renderEdgeWithColor');
+    }
+
+    /**
+     * Renders a line between two screen positions with a linear gradient.
+     * @param {Vector2} startVector2 - The start position in screen coordinates.
+     * @param {Vector2} endVector2 - The end position in screen coordinates.
+     * @param {string} startColor - The color at the start of the edge.
+     * @param {string} endColor - The color at the end of the edge.
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     * @param {string} [colorSpace] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
+     */
+    renderEdgeGradient(startVector2, endVector2, startColor, endColor, lineStyle = null, colorSpace = 'rgb') {
+        throw new Error('RenderBackend subclasses must implement renderEdgeGradient');
+    }
+
+    /**
+     * Renders a line of text.
+     * @param {string} text - The text.
+     * @param {Vector2} position - Where the text is anchored, in screen coordinates.
+     * @param {string} color - The text color.
+     * @param {string} [font] - The CSS font (default '14px monospace').
+     * @param {string} [horizontalAlign] - 'left' (default), 'center', or 'right' of the position.
+     * @param {string} [verticalAlign] - 'top' (default), 'middle', 'bottom', or 'alphabetic' (the baseline).
+     */
+    renderText(text, position, color, font = '14px monospace', horizontalAlign = 'left', verticalAlign = 'top') {
+        throw new Error('RenderBackend subclasses must implement renderText');
+    }
+
+    /**
+     * Renders an FPS counter in the top right corner.
+     * @param {number} fps - The current frames per second value.
+     * @param {string} [font] - The font to use for the text. Default is '14px monospace'.
+     * @param {string} horizontalAlign - The horizontal alignment of the text. Default is 'right'.
+     * @param {string} verticalAlign - The vertical alignment of the text. Default is 'top'.
+     */
+    renderFPS(fps, font = '14px monospace', horizontalAlign = 'right', verticalAlign = 'top') {
+        const padding = 10;
+
+        this.renderText(
+            `${Math.round(fps)} FPS`,
+            new Vector2(this.screenWidth - padding, padding),
+            this.#debugTextColor,
+            font,
+            horizontalAlign,
+            verticalAlign
+        );
+    }
+
+    // endregion
+
+    // region Utility Methods
+
+    /**
+     * Sets the output size.
+     * @param {Vector2} newScreenSize - The new size in pixels.
+     */
+    setScreenSize(newScreenSize) {
+        throw new Error('RenderBackend subclasses must implement setScreenSize');
+    }
+
+    /**
+     * Gets the color stops for a gradient, for subclasses drawing gradients that only interpolate in RGB.
+     * Other color spaces get several stops so the gradient follows them closely.
+     * @param {string} startColor - The color at the start of the gradient.
+     * @param {string} endColor - The color at the end of the gradient.
+     * @param {string} colorSpace - The color space to interpolate in: 'rgb', 'hsl', or 'oklab'.
+     * @returns {{offset: number, color: string}[]} The stops, with offsets from 0 to 1.
+     */
+    getGradientStops(startColor, endColor, colorSpace) {
+        if (colorSpace === 'rgb')
+            return [{offset: 0, color: startColor}, {offset: 1, color: endColor}];
+
+        const stops = [];
+
+        for (let i = 0; i <= GRADIENT_STOP_COUNT; i++) {
+            const t = i / GRADIENT_STOP_COUNT;
+            stops.push({offset: t, color: Color.interpolate(startColor, endColor, t, colorSpace).toHex()});
+        }
+
+        return stops;
+    }
+
+    // endregion
+}
@@ -1,18 +1,30 @@
+import {RenderBackend} from './render-backend.js';
+import {Color} from './color.js';
+import {BloomPass} from '../post-processing/bloom-pass.js';
+
+/** Most strokes added on top of the first to brighten a glow, however high its intensity. */
+const MAX_EXTRA_GLOW_STROKES = 3;
+
+/** Most bloom passes, since each one blurs the whole frame again with double the radius of the one before. */
+const MAX_BLOOM_PASSES = 8;
+
 /**
  * Handles drawing wireframe graphics to a Canvas 2D context.
  */
-export class Renderer {
+export class Renderer extends RenderBackend {
     // region Fields
 
     #canvas;
     #ctx;
-    #backgroundColor = '#000000';
-    #backgroundGradientColor = null;
-    #debugTextColor = '#ffffff';
     #pointSize = 20;
-    #bloom = {enabled: false, blur: 5, color: null};
+    #bloom = {enabled: false, blur: 5, color: null, passes: 1};
     #bloomCanvas;
     #bloomCtx;
+    #isBloomFrame = false;
+    #defaultBloomPass = new BloomPass();
+    #postProcessPasses = [];
+    #postProcessCanvas;
+    #postProcessCtx;
 
     // endregion
 
@@ -23,6 +35,7 @@ export class Renderer {
      * @param {HTMLCanvasElement} canvas - The canvas element to render to.
      */
     constructor(canvas) {
+        super();
         /** @type {HTMLCanvasElement} */
         this.#canvas = canvas;
         this.#ctx = canvas.getContext('2d');
@@ -33,15 +46,19 @@ export class Renderer {
     // region Getter Properties
 
     /**
-     * Gets the background color.
-     * @returns {string} The background color.
+     * Gets the canvas element being rendered to.
+     * @returns {HTMLCanvasElement} The canvas.
      */
-    get backgroundColor() {
-        return this.#backgroundColor;
+    get canvas() {
+        return this.#canvas;
     }
 
-    get isBackgroundGradient() {
-        return this.#backgroundGradientColor !== null;
+    /**
+     * Gets the canvas width.
+     * @returns {number} The canvas width in pixels.
+     */
+    get screenWidth() {
+        return this.#canvas.width;
     }
 
     /**
@@ -53,19 +70,11 @@ export class Renderer {
     }
 
     /**
-     * Gets the background gradient end color.
-     * @returns {string|null} The gradient end color, or null if no gradient.
+     * Gets whether the renderer draws pixels (always true, the canvas supports bloom and post-processing).
+     * @returns {boolean} True.
      */
-    get backgroundGradientColor() {
-        return this.#backgroundGradientColor;
-    }
-
-    /**
-     * Gets the debug text color (used for FPS counter).
-     * @returns {string} The debug text color.
-     */
-    get debugTextColor() {
-        return this.#debugTextColor;
+    get isRaster() {
+        return true;
     }
 
     /**
@@ -78,39 +87,23 @@ export class Renderer {
 
     /**
      * Gets the current bloom configuration.
-     * @returns {{enabled: boolean, blur: number, color: string|null}} Bloom settings.
+     * @returns {{enabled: boolean, blur: number, color: string|null, passes: number}} Bloom settings.
      */
     get bloom() {
         return {...this.#bloom};
     }
 
-    // endregion
-
-    // region Setter Properties
-
     /**
-     * Sets the background color.
-     * @param {string} color - The new background color (hex string or CSS color).
+     * Gets the post-processing passes, in the order they're applied.
+     * @returns {PostProcessPass[]} A copy of the pass list.
      */
-    set backgroundColor(color) {
-        this.#backgroundColor = color;
+    get postProcessPasses() {
+        return [...this.#postProcessPasses];
     }
 
-    /**
-     * Sets the background gradient end color. Set to null to disable gradient.
-     * @param {string|null} color - The gradient end color, or null to disable.
-     */
-    set backgroundGradientColor(color) {
-        this.#backgroundGradientColor = color;
-    }
+    // endregion
 
-    /**
-     * Sets the debug text color (used for FPS counter).
-     * @param {string} color - The new debug text color.
-     */
-    set debugTextColor(color) {
-        this.#debugTextColor = color;
-    }
+    // region Setter Properties
 
     /**
      * Sets the point size for renderPoint.
@@ -121,11 +114,35 @@ export class Renderer {
     }
 
     /**
-     * Configures global bloom effect.
-     * @param {{enabled?: boolean, blur?: number, color?: string|null}} options - Bloom settings.
+     * Configures global bloom effect. Passes above 8 are capped at 8.
+     * @param {{enabled?: boolean, blur?: number, color?: string|null, passes?: number}} options - Bloom settings.
+     * @throws {Error} If the color isn't supported (see Color.parse), the blur is negative or not a number, or the
+     *   passes aren't a whole number of at least 1.
      */
     set bloom(options) {
+        const {blur, color, passes} = options;
+
+        if (blur !== undefined && (!Number.isFinite(blur) || blur < 0))
+            throw new Error(`Unsupported bloom blur: ${blur}`);
+
+        if (color != null)
+            Color.validate(color);
+
+        if (passes !== undefined && (!Number.isInteger(passes) || passes < 1))
+            throw new Error(`Unsupported bloom passes: ${passes}`);
+
         this.#bloom = {...this.#bloom, ...options};
+
+        if (passes !== undefined)
+            this.#bloom.passes = Math.min(passes, MAX_BLOOM_PASSES);
+    }
+
+    /**
+     * Sets the post-processing passes, in the order they're applied.
+     * @param {PostProcessPass[]} passes - The passes (the list is copied, the passes aren't).
+     */
+    set postProcessPasses(passes) {
+        this.#postProcessPasses = [...passes];
     }
 
     // endregion
@@ -144,15 +161,19 @@ export class Renderer {
      * Renders an edge to the bloom canvas.
      * @param {Vector2} startVector2 - The start position.
      * @param {Vector2} endVector2 - The end position.
-     * @param {string} color - The stroke color.
+     * @param {string} color - The glow color (the global bloom color isn't applied here, see Engine.bloom).
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     * @param {number} [intensity] - Glow brightness (default 1).
      */
-    renderEdgeToBloom(startVector2, endVector2, color) {
+    renderEdgeToBloom(startVector2, endVector2, color, lineStyle = null, intensity = 1) {
         const ctx = this.#bloomCtx;
-        ctx.strokeStyle = this.#bloom.color || color;
+        Renderer.#applyLineStyle(ctx, lineStyle);
+        ctx.strokeStyle = color;
         ctx.beginPath();
         ctx.moveTo(startVector2.x, startVector2.y);
         ctx.lineTo(endVector2.x, endVector2.y);
-        ctx.stroke();
+        Renderer.#strokeGlow(ctx, intensity);
     }
 
     /**
@@ -161,34 +182,35 @@ export class Renderer {
      * @param {Vector2} endVector2 - The end position.
      * @param {string} startColor - The color at the start.
      * @param {string} endColor - The color at the end.
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     * @param {string} [colorSpace] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
+     * @param {number} [intensity] - Glow brightness (default 1).
      */
-    renderEdgeGradientToBloom(startVector2, endVector2, startColor, endColor) {
+    renderEdgeGradientToBloom(startVector2, endVector2, startColor, endColor, lineStyle = null, colorSpace = 'rgb',
+                              intensity = 1) {
         const ctx = this.#bloomCtx;
-        if (this.#bloom.color) {
-            ctx.strokeStyle = this.#bloom.color;
-        } else {
-            const gradient = ctx.createLinearGradient(
-                startVector2.x, startVector2.y,
-                endVector2.x, endVector2.y
-            );
-            gradient.addColorStop(0, startColor);
-            gradient.addColorStop(1, endColor);
-            ctx.strokeStyle = gradient;
-        }
+        Renderer.#applyLineStyle(ctx, lineStyle);
+
+        const gradient = ctx.createLinearGradient(
+            startVector2.x, startVector2.y,
+            endVector2.x, endVector2.y
+        );
+        this.#addColorStops(gradient, startColor, endColor, colorSpace);
+        ctx.strokeStyle = gradient;
+
         ctx.beginPath();
         ctx.moveTo(startVector2.x, startVector2.y);
         ctx.lineTo(endVector2.x, endVector2.y);
-        ctx.stroke();
+        Renderer.#strokeGlow(ctx, intensity);
     }
 
     /**
-     * Clears the bloom canvas for a new frame.
+     * Clears the bloom canvas for a new frame. Called whenever anything glows, even with global bloom disabled.
      */
     clearBloomCanvas() {
-        if (!this.#bloom.enabled)
-            return;
-
         this.#initBloomCanvas();
+        this.#isBloomFrame = true;
         this.#bloomCtx.clearRect(0, 0, this.#bloomCanvas.width, this.#bloomCanvas.height);
     }
 
@@ -198,7 +220,7 @@ export class Renderer {
      * @param {string} color - Fill color.
      */
     fillFaceOnBloom(positions, color) {
-        if (!this.#bloom.enabled || !this.#bloomCanvas)
+        if (!this.#bloomCanvas)
             return;
 
         const ctx = this.#bloomCtx;
@@ -215,18 +237,39 @@ export class Renderer {
 
 
     /**
-     * Applies blur to bloom canvas and composites onto main canvas.
+     * Replaces the bloom canvas contents with pixels (e.g. edges from the depth buffer rasterizer).
+     * @param {ImageData} imageData - The pixels to glow, transparent where nothing should glow.
      */
-    compositeBloom() {
-        if (!this.#bloom.enabled || !this.#bloomCanvas)
+    putBloomImageData(imageData) {
+        this.#initBloomCanvas();
+        this.#isBloomFrame = true;
+        this.#bloomCtx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Strokes the current path with its color scaled by intensity, like the depth buffer rasterizer's glow: once
+     * at an alpha of up to 1, then the rest of the intensity added on top in up to MAX_EXTRA_GLOW_STROKES strokes.
+     * Brightness saturates at white either way.
+     * @private
+     */
+    static #strokeGlow(ctx, intensity) {
+        if (!(intensity > 0))
             return;
 
-        // Apply blur filter and draw to main canvas with additive blending
-        this.#ctx.save();
-        this.#ctx.filter = `blur(${this.#bloom.blur}px)`;
-        this.#ctx.globalCompositeOperation = 'lighter';
-        this.#ctx.drawImage(this.#bloomCanvas, 0, 0);
-        this.#ctx.restore();
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, intensity);
+        ctx.stroke();
+
+        const remaining = Math.min(intensity, MAX_EXTRA_GLOW_STROKES + 1) - 1;
+        const extraStrokes = Math.ceil(remaining);
+        ctx.globalCompositeOperation = 'lighter';
+
+        for (let i = 0; i < extraStrokes; i++) {
+            ctx.globalAlpha = remaining / extraStrokes;
+            ctx.stroke();
+        }
+
+        ctx.restore();
     }
 
     /** @private */
@@ -251,8 +294,11 @@ export class Renderer {
      * @param {Vector2} startVector2 - The start position in screen coordinates.
      * @param {Vector2} endVector2 - The end position in screen coordinates.
      * @param {string} color - The stroke color (hex string or CSS color).
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
      */
-    renderEdgeWithColor(startVector2, endVector2, color) {
+    renderEdgeWithColor(startVector2, endVector2, color, lineStyle = null) {
+        Renderer.#applyLineStyle(this.#ctx, lineStyle);
         this.#ctx.strokeStyle = color;
         this.#ctx.beginPath();
         this.#ctx.moveTo(startVector2.x, startVector2.y);
@@ -266,14 +312,18 @@ export class Renderer {
      * @param {Vector2} endVector2 - The end position in screen coordinates.
      * @param {string} startColor - The color at the start of the edge.
      * @param {string} endColor - The color at the end of the edge.
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     * @param {string} [colorSpace] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
      */
-    renderEdgeGradient(startVector2, endVector2, startColor, endColor) {
+    renderEdgeGradient(startVector2, endVector2, startColor, endColor, lineStyle = null, colorSpace = 'rgb') {
+        Renderer.#applyLineStyle(this.#ctx, lineStyle);
+
         const gradient = this.#ctx.createLinearGradient(
             startVector2.x, startVector2.y,
             endVector2.x, endVector2.y
         );
-        gradient.addColorStop(0, startColor);
-        gradient.addColorStop(1, endColor);
+        this.#addColorStops(gradient, startColor, endColor, colorSpace);
 
         this.#ctx.strokeStyle = gradient;
         this.#ctx.beginPath();
@@ -305,22 +355,21 @@ export class Renderer {
 
 
     /**
-     * Renders an FPS counter in the top right corner of the canvas.
-     * @param {number} fps - The current frames per second value.
-     * @param {string} [font] - The font to use for the text. Default is '14px monospace'.
-     * @param {string} horizontalAlign - The horizontal alignment of the text. Default is 'right'.
-     * @param {string} verticalAlign - The vertical alignment of the text. Default is 'top'.
+     * Renders a line of text.
+     * @param {string} text - The text.
+     * @param {Vector2} position - Where the text is anchored, in screen coordinates.
+     * @param {string} color - The text color.
+     * @param {string} [font] - The CSS font (default '14px monospace').
+     * @param {string} [horizontalAlign] - 'left' (default), 'center', or 'right' of the position.
+     * @param {string} [verticalAlign] - 'top' (default), 'middle', 'bottom', or 'alphabetic' (the baseline).
      */
-    renderFPS(fps, font = '14px monospace', horizontalAlign = 'right', verticalAlign = 'top') {
-        const text = `${Math.round(fps)} FPS`;
-        const padding = 10;
-
+    renderText(text, position, color, font = '14px monospace', horizontalAlign = 'left', verticalAlign = 'top') {
         this.#ctx.save();
         this.#ctx.font = font;
         this.#ctx.textAlign = horizontalAlign;
         this.#ctx.textBaseline = verticalAlign;
-        this.#ctx.fillStyle = this.#debugTextColor;
-        this.#ctx.fillText(text, this.#canvas.width - padding, padding);
+        this.#ctx.fillStyle = color;
+        this.#ctx.fillText(text, position.x, position.y);
         this.#ctx.restore();
     }
 
@@ -331,7 +380,7 @@ export class Renderer {
      * @param {Vector2} vector2 - The position in screen coordinates.
      */
     renderPoint(vector2) {
-        this.#ctx.fillStyle = this.#debugTextColor;
+        this.#ctx.fillStyle = this.debugTextColor;
         this.#ctx.fillRect(
             vector2.x - this.#pointSize / 2,
             vector2.y - this.#pointSize / 2,
@@ -340,6 +389,50 @@ export class Renderer {
         );
     }
 
+    /**
+     * Copies the current canvas pixels, e.g. the cleared background for software rasterizing.
+     * @returns {ImageData} The canvas pixels.
+     */
+    getImageData() {
+        return this.#ctx.getImageData(0, 0, this.#canvas.width, this.#canvas.height);
+    }
+
+    /**
+     * Creates transparent pixels the size of the canvas.
+     * @returns {ImageData} The new pixels.
+     */
+    createImageData() {
+        return this.#ctx.createImageData(this.#canvas.width, this.#canvas.height);
+    }
+
+    /**
+     * Replaces the canvas contents with pixels.
+     * @param {ImageData} imageData - The pixels to draw at the top left corner.
+     */
+    putImageData(imageData) {
+        this.#ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Sets a context's stroke width, dash pattern, cap, and join (context state persists between edges).
+     * @private
+     */
+    static #applyLineStyle(ctx, lineStyle) {
+        ctx.lineWidth = lineStyle ? lineStyle.width : 1;
+        ctx.setLineDash(lineStyle ? lineStyle.dash : []);
+        ctx.lineCap = lineStyle ? lineStyle.cap : 'butt';
+        ctx.lineJoin = lineStyle ? lineStyle.join : 'miter';
+    }
+
+    /**
+     * Adds a gradient's color stops. The canvas only interpolates in RGB, so other color spaces get several stops.
+     * @private
+     */
+    #addColorStops(gradient, startColor, endColor, colorSpace) {
+        for (const stop of this.getGradientStops(startColor, endColor, colorSpace))
+            gradient.addColorStop(stop.offset, stop.color);
+    }
+
     // endregion
 
     // region Utility Methods
@@ -358,18 +451,94 @@ export class Renderer {
      * Clears the canvas with the background color or gradient.
      */
     clear() {
-        if (this.#backgroundGradientColor) {
+        if (this.backgroundGradientColor) {
             const gradient = this.#ctx.createLinearGradient(
                 0, 0,
                 0, this.#canvas.height
             );
-            gradient.addColorStop(0, this.#backgroundColor);
-            gradient.addColorStop(1, this.#backgroundGradientColor);
+            gradient.addColorStop(0, this.backgroundColor);
+            gradient.addColorStop(1, this.backgroundGradientColor);
             this.#ctx.fillStyle = gradient;
         } else {
-            this.#ctx.fillStyle = this.#backgroundColor;
+            this.#ctx.fillStyle = this.backgroundColor;
         }
         this.#ctx.fillRect(0, 0, this.#canvas.width, this.#canvas.height);
+        this.#isBloomFrame = false;
+    }
+
+    // endregion
+
+    // region Post-Processing Methods
+
+    /**
+     * Applies blur to the bloom canvas and composites it onto the main canvas, without the other passes.
+     * applyPostProcessing already does this (with a BloomPass), so only call it when not applying post-processing.
+     * Does nothing in frames where nothing glowed.
+     */
+    compositeBloom() {
+        if (!this.#isBloomFrame)
+            return;
+
+        this.#defaultBloomPass.apply(this.#ctx, {
+            source: null,
+            bloomCanvas: this.#bloomCanvas,
+            bloom: {blur: this.#bloom.blur, passes: this.#bloom.passes},
+            width: this.#canvas.width,
+            height: this.#canvas.height,
+            time: 0
+        });
+    }
+
+    /**
+     * Applies the post-processing passes to the finished frame, in order.
+     * Bloom is applied first unless the pass list has its own BloomPass.
+     * @param {number} [time] - The frame time in milliseconds, passed on to the passes (default 0).
+     */
+    applyPostProcessing(time = 0) {
+        const bloomCanvas = this.#isBloomFrame ? this.#bloomCanvas : null;
+        const hasBloomPass = this.#postProcessPasses.some(pass => pass instanceof BloomPass);
+        let passes = this.#postProcessPasses;
+
+        if (bloomCanvas && !hasBloomPass)
+            passes = [this.#defaultBloomPass, ...passes];
+
+        passes = passes.filter(pass => pass.isEnabled);
+
+        if (passes.length === 0)
+            return;
+
+        const {width, height} = this.#canvas;
+
+        for (const pass of passes) {
+            // Passes that redraw the frame get a copy of it as the passes before them left it
+            if (pass.needsSource) {
+                this.#initPostProcessCanvas();
+                this.#postProcessCtx.clearRect(0, 0, width, height);
+                this.#postProcessCtx.drawImage(this.#canvas, 0, 0);
+            }
+
+            pass.apply(this.#ctx, {
+                source: pass.needsSource ? this.#postProcessCanvas : null,
+                bloomCanvas,
+                bloom: {blur: this.#bloom.blur, passes: this.#bloom.passes},
+                width,
+                height,
+                time
+            });
+        }
+    }
+
+    /** @private */
+    #initPostProcessCanvas() {
+        if (!this.#postProcessCanvas) {
+            this.#postProcessCanvas = document.createElement('canvas');
+            this.#postProcessCtx = this.#postProcessCanvas.getContext('2d');
+        }
+        if (this.#postProcessCanvas.width !== this.#canvas.width ||
+            this.#postProcessCanvas.height !== this.#canvas.height) {
+            this.#postProcessCanvas.width = this.#canvas.width;
+            this.#postProcessCanvas.height = this.#canvas.height;
+        }
     }
 
     // endregion
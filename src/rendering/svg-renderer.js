@@ -0,0 +1,260 @@
+import {RenderBackend} from './render-backend.js';
+import {Color} from './color.js';
+
+/** SVG text-anchor values for canvas text alignments. */
+const TEXT_ANCHORS = {left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end'};
+
+/** SVG dominant-baseline values for canvas text baselines. */
+const TEXT_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'middle',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge'
+};
+
+/**
+ * Builds an SVG document from what the Engine draws, for exporting crisp vector illustrations of a scene
+ * (see Engine.renderTo). Faces become <polygon> elements and edges <line> elements, gradient edges using a
+ * <linearGradient>. Everything is drawn in order, so depth sorting or hidden line removal gives correct occlusion.
+ */
+export class SvgRenderer extends RenderBackend {
+    // region Fields
+
+    #width;
+    #height;
+    #definitions = [];
+    #elements = [];
+    #gradientCount = 0;
+
+    // endregion
+
+    // region Constructor
+
+    /**
+     * Creates a new SvgRenderer.
+     * @param {Vector2} screenSize - The document size in pixels (width, height), usually the canvas size.
+     */
+    constructor(screenSize) {
+        super();
+        this.#width = screenSize.x;
+        this.#height = screenSize.y;
+    }
+
+    // endregion
+
+    // region Getter Properties
+
+    /**
+     * Gets the document width.
+     * @returns {number} The width in pixels.
+     */
+    get screenWidth() {
+        return this.#width;
+    }
+
+    /**
+     * Gets the document height.
+     * @returns {number} The height in pixels.
+     */
+    get screenHeight() {
+        return this.#height;
+    }
+
+    // endregion
+
+    // region Render Methods
+
+    /**
+     * Removes everything drawn so far and draws the background color or gradient.
+     */
+    clear() {
+        this.#definitions = [];
+        this.#elements = [];
+        this.#gradientCount = 0;
+
+        let fill;
+
+        if (this.backgroundGradientColor) {
+            this.#definitions.push(
+                '<linearGradient id="background-gradient" x1="0" y1="0" x2="0" y2="1">' +
+                SvgRenderer.#getStop(0, this.backgroundColor) +
+                SvgRenderer.#getStop(1, this.backgroundGradientColor) +
+                '</linearGradient>'
+            );
+            fill = 'fill="url(#background-gradient)"';
+        } else {
+            fill = SvgRenderer.#getColorAttributes(this.backgroundColor, 'fill', 'fill-opacity');
+        }
+
+        this.#elements.push(`<rect width="${this.#width}" height="${this.#height}" ${fill}/>`);
+    }
+
+    /**
+     * Adds a polygon defined by screen positions.
+     * @param {Vector2[]} positions - The vertex positions in screen coordinates.
+     * @param {string} color - The fill color.
+     */
+    fillFace(positions, color) {
+        if (positions.length < 3)
+            return;
+
+        const points = positions
+            .map(position => `${SvgRenderer.#formatNumber(position.x)},${SvgRenderer.#formatNumber(position.y)}`)
+            .join(' ');
+
+        this.#elements.push(
+            `<polygon points="${points}" ${SvgRenderer.#getColorAttributes(color, 'fill', 'fill-opacity')}/>`
+        );
+    }
+
+    /**
+     * Adds a line between two screen positions with a specific color.
+     * @param {Vector2} startVector2 - The start position in screen coordinates.
+     * @param {Vector2} endVector2 - The end position in screen coordinates.
+     * @param {string} color - The stroke color (hex string or CSS color).
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     */
+    renderEdgeWithColor(startVector2, endVector2, color, lineStyle = null) {
+        const stroke = SvgRenderer.#getColorAttributes(color, 'stroke', 'stroke-opacity');
+        this.#elements.push(SvgRenderer.#getLine(startVector2, endVector2, stroke, lineStyle));
+    }
+
+    /**
+     * Adds a line between two screen positions with a linear gradient.
+     * @param {Vector2} startVector2 - The start position in screen coordinates.
+     * @param {Vector2} endVector2 - The end position in screen coordinates.
+     * @param {string} startColor - The color at the start of the edge.
+     * @param {string} endColor - The color at the end of the edge.
+     * @param {{width: number, dash: number[], cap: string, join: string}|null} [lineStyle] - The stroke style, or
+     *   null for a solid 1 pixel line.
+     * @param {string} [colorSpace] - The color space to interpolate in: 'rgb' (default), 'hsl', or 'oklab'.
+     */
+    renderEdgeGradient(startVector2, endVector2, startColor, endColor, lineStyle = null, colorSpace = 'rgb') {
+        const id = `edge-gradient-${this.#gradientCount++}`;
+        const stops = this.getGradientStops(startColor, endColor, colorSpace)
+            .map(stop => SvgRenderer.#getStop(stop.offset, stop.color))
+            .join('');
+
+        // In user space, so the gradient runs along the edge even when it's perfectly horizontal or vertical
+        this.#definitions.push(
+            `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+            `${SvgRenderer.#getPointAttributes(startVector2, endVector2)}>${stops}</linearGradient>`
+        );
+        this.#elements.push(SvgRenderer.#getLine(startVector2, endVector2, `stroke="url(#${id})"`, lineStyle));
+    }
+
+    /**
+     * Adds a line of text.
+     * @param {string} text - The text.
+     * @param {Vector2} position - Where the text is anchored, in screen coordinates.
+     * @param {string} color - The text color.
+     * @param {string} [font] - The CSS font (default '14px monospace').
+     * @param {string} [horizontalAlign] - 'left' (default), 'center', or 'right' of the position.
+     * @param {string} [verticalAlign] - 'top' (default), 'middle', 'bottom', or 'alphabetic' (the baseline).
+     */
+    renderText(text, position, color, font = '14px monospace', horizontalAlign = 'left', verticalAlign = 'top') {
+        const anchor = TEXT_ANCHORS[horizontalAlign];
+        const baseline = TEXT_BASELINES[verticalAlign];
+
+        if (!anchor)
+            throw new Error(`Unsupported horizontal text alignment: ${horizontalAlign}`);
+
+        if (!baseline)
+            throw new Error(`Unsupported vertical text alignment: ${verticalAlign}`);
+
+        this.#elements.push(
+            `<text x="${SvgRenderer.#formatNumber(position.x)}" y="${SvgRenderer.#formatNumber(position.y)}" ` +
+            `style="font: ${SvgRenderer.#escape(font)}" text-anchor="${anchor}" dominant-baseline="${baseline}" ` +
+            `${SvgRenderer.#getColorAttributes(color, 'fill', 'fill-opacity')}>${SvgRenderer.#escape(text)}</text>`
+        );
+    }
+
+    // endregion
+
+    // region Utility Methods
+
+    /**
+     * Sets the document size.
+     * @param {Vector2} newScreenSize - The new size in pixels.
+     */
+    setScreenSize(newScreenSize) {
+        this.#width = newScreenSize.x;
+        this.#height = newScreenSize.y;
+    }
+
+    /**
+     * Gets the SVG document with everything drawn since the last clear.
+     * @returns {string} The SVG markup (e.g. to save as an .svg file or put in a page).
+     */
+    toString() {
+        const definitions = this.#definitions.length > 0 ? `<defs>${this.#definitions.join('')}</defs>\n` : '';
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.#width}" height="${this.#height}" ` +
+            `viewBox="0 0 ${this.#width} ${this.#height}">\n` +
+            definitions +
+            this.#elements.join('\n') +
+            '\n</svg>\n';
+    }
+
+    /** @private */
+    static #getLine(startVector2, endVector2, stroke, lineStyle) {
+        let style = `stroke-width="${SvgRenderer.#formatNumber(lineStyle ? lineStyle.width : 1)}"`;
+
+        // Only what differs from the SVG defaults, which match the canvas defaults
+        if (lineStyle && lineStyle.dash.length > 0)
+            style += ` stroke-dasharray="${lineStyle.dash.map(SvgRenderer.#formatNumber).join(' ')}"`;
+
+        if (lineStyle && lineStyle.cap !== 'butt')
+            style += ` stroke-linecap="${lineStyle.cap}"`;
+
+        if (lineStyle && lineStyle.join !== 'miter')
+            style += ` stroke-linejoin="${lineStyle.join}"`;
+
+        return `<line ${SvgRenderer.#getPointAttributes(startVector2, endVector2)} ${stroke} ${style}/>`;
+    }
+
+    /** @private */
+    static #getPointAttributes(startVector2, endVector2) {
+        return `x1="${SvgRenderer.#formatNumber(startVector2.x)}" y1="${SvgRenderer.#formatNumber(startVector2.y)}" ` +
+            `x2="${SvgRenderer.#formatNumber(endVector2.x)}" y2="${SvgRenderer.#formatNumber(endVector2.y)}"`;
+    }
+
+    /** @private */
+    static #getStop(offset, color) {
+        return `<stop offset="${SvgRenderer.#formatNumber(offset)}" ` +
+            `${SvgRenderer.#getColorAttributes(color, 'stop-color', 'stop-opacity')}/>`;
+    }
+
+    /**
+     * Splits a color into an opaque hex color and an opacity, since not every SVG reader supports alpha in colors.
+     * @private
+     */
+    static #getColorAttributes(color, colorName, opacityName) {
+        const parsed = Color.parse(color);
+        const attributes = `${colorName}="${parsed.getWithAlpha(1).toHex()}"`;
+
+        return parsed.a < 1 ? `${attributes} ${opacityName}="${SvgRenderer.#formatNumber(parsed.a)}"` : attributes;
+    }
+
+    /**
+     * Rounds to hundredths of a pixel, which is finer than any screen shows but keeps the document small.
+     * @private
+     */
+    static #formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /** @private */
+    static #escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // endregion
+}